@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * git-hook.js — Git hook handlers installed by `lightsprint git-hooks install`.
+ *
+ *   git-hook prepare-commit-msg <msgFile> [source] [sha]
+ *     Adds a `Lightsprint-Task: <id>` trailer for the folder's active task,
+ *     unless the task is only inferred from the branch and already done.
+ *   git-hook post-commit
+ *     Posts the new commit's SHA, subject and diffstat to the task named in
+ *     its trailer. Commits that rewrite or replay earlier ones (rebase,
+ *     --amend, -c/-C, cherry-pick) inherit the trailer and are not posted.
+ *
+ * Git runs hooks from the worktree root, so process.cwd() is the repo.
+ *
+ * Error handling: ANY failure is logged and the hook exits 0 — a Lightsprint
+ * problem must never block a commit.
+ */
+
+import { execFileSync } from 'child_process';
+import { writeFileSync, rmSync, existsSync } from 'fs';
+import { getConfig } from './lib/config.js';
+import { apiRequest, setConfig } from './lib/client.js';
+import { getActiveTask } from './lib/active-task.js';
+import { git, getCommitInfo, getGitPath, isRebasing } from './lib/git.js';
+import { linkCommit, TASK_TRAILER } from './lib/commit-link.js';
+import { taskStatusKey } from './lib/status-mapper.js';
+import { createLogger } from './lib/hook-input.js';
+
+const log = createLogger('git-hook');
+
+// Commit sources that don't represent new work on the task
+const SKIPPED_SOURCES = ['merge', 'squash'];
+// Left in the git dir by prepare-commit-msg when the message comes from an
+// existing commit (--amend, -c, -C), for post-commit to skip the link
+const REUSED_MESSAGE_MARKER = 'lightsprint-reused-message';
+// Reflog subjects of commits that replay earlier work
+const REPLAYED_REFLOG = /^(commit \(amend\)|cherry-pick)/;
+// A commit waits for this hook; an unreachable server must not stall it
+const LINK_TIMEOUT_MS = 5 * 1000;
+
+/**
+ * Whether a task named only by the branch is finished, e.g. done on the
+ * board after the branch was checked out. Unknown (offline) counts as open.
+ */
+async function isFinishedBranchTask(taskId) {
+	try {
+		const { task } = await apiRequest(`/api/tasks/${taskId}`, { timeout: LINK_TIMEOUT_MS });
+		return task ? taskStatusKey(task) === 'done' : false;
+	} catch (err) {
+		log('warn', 'Could not check the branch task status', { taskId, error: err.message });
+		return false;
+	}
+}
+
+async function prepareCommitMsg([msgFile, source], cwd) {
+	const marker = getGitPath(REUSED_MESSAGE_MARKER, cwd);
+	if (marker) {
+		if (source === 'commit') writeFileSync(marker, new Date().toISOString());
+		else rmSync(marker, { force: true });
+	}
+	if (!msgFile || SKIPPED_SOURCES.includes(source)) return;
+
+	const active = getActiveTask({ cwd });
+	if (!active) {
+		log('debug', 'No active task, no trailer added', { cwd });
+		return;
+	}
+	if (active.source === 'branch' && await isFinishedBranchTask(active.taskId)) {
+		log('debug', 'Branch task is done, no trailer added', { taskId: active.taskId, branch: active.branch });
+		return;
+	}
+
+	execFileSync('git', [
+		'interpret-trailers', '--in-place',
+		'--if-exists', 'doNothing',
+		'--trailer', `${TASK_TRAILER}: ${active.taskId}`,
+		msgFile
+	], { cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+	log('info', 'Added task trailer', { taskId: active.taskId });
+}
+
+async function postCommit(cwd) {
+	if (isRebasing(cwd)) {
+		log('debug', 'Rebase in progress, not linking replayed commit', { cwd });
+		return;
+	}
+	const marker = getGitPath(REUSED_MESSAGE_MARKER, cwd);
+	if (marker && existsSync(marker)) {
+		rmSync(marker, { force: true });
+		log('debug', 'Message reused from an existing commit, not linking', { cwd });
+		return;
+	}
+	const action = git(['reflog', '-1', '--format=%gs', 'HEAD'], cwd) || '';
+	if (REPLAYED_REFLOG.test(action)) {
+		log('debug', 'Amended or cherry-picked commit, not linking', { action });
+		return;
+	}
+
+	const taskId = getCommitInfo('HEAD', cwd)?.taskTrailer;
+	if (!taskId) {
+		log('debug', 'Commit has no task trailer', { cwd });
+		return;
+	}
+
+	try {
+		const commit = await linkCommit('HEAD', taskId, { cwd, withBranch: true, timeout: LINK_TIMEOUT_MS });
+		log('info', 'Linked commit', { sha: commit.sha, taskId });
+	} catch (err) {
+		// Queued writes are replayed by `lightsprint sync`
+		log(err.queued ? 'warn' : 'error', 'Failed to link commit', { taskId, error: err.message });
+	}
+}
+
+export async function gitHookMain(args) {
+	const [hookName, ...hookArgs] = args;
+	const cwd = process.cwd();
+
+	// Config guard — unconnected folders are left alone
+	const cfg = getConfig(cwd);
+	if (!cfg) {
+		process.exit(0);
+	}
+	setConfig(cfg);
+
+	try {
+		if (hookName === 'prepare-commit-msg') {
+			await prepareCommitMsg(hookArgs, cwd);
+		} else if (hookName === 'post-commit') {
+			await postCommit(cwd);
+		} else {
+			log('warn', 'Unknown git hook', { hookName });
+		}
+	} catch (err) {
+		log('error', `${hookName} failed`, { error: err.message });
+	}
+
+	process.exit(0);
+}
@@ -0,0 +1,190 @@
+/**
+ * Active task tracker for Lightsprint plugin.
+ * Stored in ~/.lightsprint/active-task.json.
+ * Uses atomic writes (write tmp + rename) for safety.
+ *
+ * Entries are keyed by folder (the worktree root, so each `git worktree`
+ * checkout tracks its own task), then by Claude Code session ID. The '*'
+ * session holds the folder's most recent claim, used when the session is
+ * unknown or has not claimed anything itself:
+ *
+ *   { <folder>: { '*': { taskId, projectId, title, sessionId, claimedAt }, <sessionId>: { ... } } }
+ *
+ * When nothing is recorded for a folder, the task is inferred from the
+ * checked-out task branch (see branch.js). Clearing a task that is inferred
+ * that way records the branch under '~released', so the branch stops naming
+ * the task until it is claimed again:
+ *
+ *   { <folder>: { '~released': { <branch>: { taskId, releasedAt } } } }
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+import { getWorktreeRoot } from './git.js';
+import { listMappings } from './task-map.js';
+import { getBranchTask } from './branch.js';
+
+const ACTIVE_FILE = join(homedir(), '.lightsprint', 'active-task.json');
+const FOLDER_DEFAULT = '*';
+const RELEASED = '~released';
+
+function ensureDir() {
+	const dir = dirname(ACTIVE_FILE);
+	if (!existsSync(dir)) {
+		mkdirSync(dir, { recursive: true });
+	}
+}
+
+function readActive() {
+	try {
+		if (existsSync(ACTIVE_FILE)) {
+			return JSON.parse(readFileSync(ACTIVE_FILE, 'utf-8'));
+		}
+	} catch {
+		// Corrupted file, start fresh
+	}
+	return {};
+}
+
+function writeActive(data) {
+	ensureDir();
+	const tmp = ACTIVE_FILE + '.' + randomBytes(4).toString('hex');
+	writeFileSync(tmp, JSON.stringify(data, null, 2));
+	renameSync(tmp, ACTIVE_FILE);
+}
+
+/**
+ * Resolve the folder key and session ID for a lookup.
+ * Claude Code exposes its session ID to Bash commands via CLAUDE_CODE_SESSION_ID.
+ */
+function resolveScope({ cwd, sessionId } = {}) {
+	const dir = cwd || process.cwd();
+	return {
+		folder: getWorktreeRoot(dir) || dir,
+		sessionId: sessionId || process.env.CLAUDE_CODE_SESSION_ID || null
+	};
+}
+
+/**
+ * Set the active task for a folder (and session, when known).
+ * @param {{ taskId: string, projectId: string, title?: string }} task
+ * @param {{ cwd?: string, sessionId?: string }} [scope]
+ */
+export function setActiveTask({ taskId, projectId, title }, scope) {
+	const { folder, sessionId } = resolveScope(scope);
+	const data = readActive();
+	const entry = { taskId, projectId, title: title || null, sessionId, claimedAt: new Date().toISOString() };
+	data[folder] = { ...data[folder], [FOLDER_DEFAULT]: entry };
+	if (sessionId) data[folder][sessionId] = entry;
+
+	// Claiming a task again lets its branch name it again
+	const released = data[folder][RELEASED];
+	for (const [branch, mark] of Object.entries(released || {})) {
+		if (mark.taskId === taskId) delete released[branch];
+	}
+	if (released && Object.keys(released).length === 0) delete data[folder][RELEASED];
+	writeActive(data);
+}
+
+/**
+ * Get the active task: the session's own claim first, then the folder's
+ * latest, then the task named by the current branch.
+ * @param {{ cwd?: string, sessionId?: string }} [scope]
+ * @returns {{ taskId: string, projectId: string | null, title: string | null, sessionId: string | null, claimedAt: string | null, folder: string, branch?: string, source: 'claimed' | 'branch' } | undefined}
+ */
+export function getActiveTask(scope) {
+	const { folder, sessionId } = resolveScope(scope);
+	const entries = readActive()[folder];
+	const entry = (sessionId && entries?.[sessionId]) || entries?.[FOLDER_DEFAULT];
+	if (entry?.taskId) {
+		return { ...entry, folder, source: 'claimed' };
+	}
+	return inferFromBranch(folder, entries);
+}
+
+function inferFromBranch(folder, entries) {
+	const fromBranch = getBranchTask(folder);
+	if (!fromBranch) return undefined;
+	if (entries?.[RELEASED]?.[fromBranch.branch]?.taskId === fromBranch.taskId) return undefined;
+	return {
+		taskId: fromBranch.taskId,
+		projectId: null,
+		title: null,
+		sessionId: null,
+		claimedAt: null,
+		folder,
+		branch: fromBranch.branch,
+		source: 'branch'
+	};
+}
+
+/**
+ * Clear the active task for a folder.
+ * With a taskId, only entries pointing at that task are removed (in every
+ * session); otherwise the session's entry and the folder default are removed.
+ * A task the current branch names (that task, without a taskId) is released
+ * from the branch as well.
+ * @param {{ cwd?: string, sessionId?: string, taskId?: string }} [scope]
+ * @returns {boolean} Whether anything was cleared
+ */
+export function clearActiveTask({ taskId, ...scope } = {}) {
+	const { folder, sessionId } = resolveScope(scope);
+	const data = readActive();
+	const entries = data[folder] || {};
+	let cleared = false;
+
+	for (const [key, entry] of Object.entries(entries)) {
+		if (key === RELEASED) continue;
+		const matches = taskId
+			? entry?.taskId === taskId
+			: key === FOLDER_DEFAULT || key === sessionId;
+		if (matches) {
+			delete entries[key];
+			cleared = true;
+		}
+	}
+
+	const fromBranch = inferFromBranch(folder, entries);
+	if (fromBranch && (!taskId || fromBranch.taskId === taskId)) {
+		entries[RELEASED] = {
+			...entries[RELEASED],
+			[fromBranch.branch]: { taskId: fromBranch.taskId, releasedAt: new Date().toISOString() }
+		};
+		cleared = true;
+	}
+
+	if (!cleared) return false;
+	if (Object.keys(entries).length === 0) delete data[folder];
+	else data[folder] = entries;
+	writeActive(data);
+	return true;
+}
+
+/**
+ * Resolve the Lightsprint task a Claude Code session is working on.
+ * Order: the session's own claim → a task linked in this session via the
+ * task map → the folder's latest claim → the current task branch.
+ * @param {{ cwd?: string, sessionId?: string, projectId?: string }} scope
+ * @returns {{ taskId: string, source: 'active' | 'linked' | 'branch' } | undefined}
+ */
+export function resolveSessionTask({ projectId, ...scope } = {}) {
+	const { folder, sessionId } = resolveScope(scope);
+	const entries = readActive()[folder];
+	const inProject = entry => entry?.taskId && (!projectId || !entry.projectId || entry.projectId === projectId);
+
+	const own = sessionId ? entries?.[sessionId] : undefined;
+	if (inProject(own)) return { taskId: own.taskId, source: 'active' };
+
+	const linked = sessionId ? listMappings({ projectId, sessionId })[0] : undefined;
+	if (linked) return { taskId: linked.lsTaskId, source: 'linked' };
+
+	const latest = entries?.[FOLDER_DEFAULT];
+	if (inProject(latest)) return { taskId: latest.taskId, source: 'active' };
+
+	const fromBranch = inferFromBranch(folder, entries);
+	if (fromBranch) return { taskId: fromBranch.taskId, source: 'branch' };
+
+	return undefined;
+}
@@ -0,0 +1,285 @@
+/**
+ * Declarative argument parsing for CLI commands.
+ *
+ * Each command describes its arguments once; the same spec drives parsing,
+ * validation and `lightsprint <command> --help`:
+ *
+ *   {
+ *     name: 'create',
+ *     summary: 'Create a new task',
+ *     positionals: [{ name: 'title', required: true, variadic: true }],
+ *     options: {
+ *       status: { type: 'string', placeholder: 'status', choices: () => statusKeys(), summary: '...' },
+ *       limit: { type: 'number', default: 20 },
+ *       remove: { type: 'string', multiple: true },
+ *       complexity: { type: 'string', list: true, choices: [...] },
+ *       'dry-run': { type: 'boolean' }
+ *     },
+ *     subcommands: { list: { ...spec }, ... },  // first positional picks one
+ *     defaultSubcommand: 'list',
+ *     json: true,                               // command supports --json
+ *     examples: ['lightsprint create "Fix the login redirect"']
+ *   }
+ *
+ * Options accept `--name value` and `--name=value`; `-x` works for options
+ * with a `short` alias. Everything after `--` is positional. Option values
+ * land in camelCase (`--dry-run` → `dryRun`). `multiple` options collect
+ * repeated flags into an array; `list` options also split comma-separated
+ * values (`--status todo,done`), validating each item. `choices` match
+ * case-insensitively and yield the canonical choice; `parse` can transform
+ * or validate a value (throw to reject it). `valueHint` lists accepted
+ * values in the help without restricting them.
+ *
+ * A spec with `subcommands` may also declare `positionals`: they are all
+ * required and come before the subcommand (`todo <taskId> add ...`).
+ *
+ * Invalid input throws an Error with code 'usage' (see output.js).
+ */
+
+import { cliError } from './output.js';
+
+const HELP_FLAGS = ['--help', '-h'];
+
+function camelCase(name) {
+	return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function commandLabel(spec) {
+	return `lightsprint ${spec.name}`;
+}
+
+function usageError(spec, message) {
+	return cliError('usage', `${message}\nRun '${commandLabel(spec)} --help' for usage.`);
+}
+
+function resolveChoices(option) {
+	return typeof option.choices === 'function' ? option.choices() : option.choices;
+}
+
+function convertValue(spec, flag, option, raw) {
+	let value = raw;
+	if (option.type === 'number') {
+		value = Number(raw);
+		if (raw === '' || !Number.isFinite(value)) {
+			throw usageError(spec, `Option --${flag} expects a number, got "${raw}".`);
+		}
+	}
+	const choices = option.choices && resolveChoices(option);
+	if (choices) {
+		const match = choices.find(c => String(c).toLowerCase() === String(value).toLowerCase());
+		if (match === undefined) {
+			throw usageError(spec, `Invalid value "${raw}" for --${flag}. Expected one of: ${choices.join(', ')}.`);
+		}
+		value = match;
+	}
+	return option.parse ? option.parse(value) : value;
+}
+
+/**
+ * Whether the arguments ask for help.
+ * @param {string[]} args
+ * @returns {boolean}
+ */
+export function wantsHelp(args) {
+	const end = args.indexOf('--');
+	return (end === -1 ? args : args.slice(0, end)).some(arg => HELP_FLAGS.includes(arg));
+}
+
+/**
+ * Parse command arguments against a spec.
+ * @param {string[]} args
+ * @param {object} spec - See the module comment
+ * @returns {{ subcommand?: string, positionals: object, options: object, help: boolean }}
+ *   `positionals` is keyed by positional name (variadic ones are arrays);
+ *   `help` is true when --help was given (nothing else is validated then).
+ * @throws {Error} code 'usage' on unknown options, missing values or arguments
+ */
+export function parseArgs(args, spec) {
+	if (wantsHelp(args)) {
+		return { positionals: {}, options: {}, help: true };
+	}
+
+	if (spec.subcommands) {
+		const names = Object.keys(spec.subcommands);
+		const leading = {};
+		for (const [index, positional] of (spec.positionals || []).entries()) {
+			if (!args[index] || args[index].startsWith('-')) {
+				throw usageError(spec, `Missing required argument <${positional.name}>.`);
+			}
+			leading[positional.name] = args[index];
+		}
+		args = args.slice(Object.keys(leading).length);
+
+		const first = args[0] && !args[0].startsWith('-') ? args[0] : null;
+		const subcommand = first ?? spec.defaultSubcommand;
+		const name = spec.subcommands[subcommand]
+			? subcommand
+			: names.find(n => spec.subcommands[n].aliases?.includes(subcommand));
+		const subSpec = name && spec.subcommands[name];
+		if (!subSpec) {
+			throw usageError(spec, subcommand
+				? `Unknown ${spec.name} subcommand: ${subcommand}. Expected one of: ${names.join(', ')}.`
+				: `Missing subcommand. Expected one of: ${names.join(', ')}.`);
+		}
+		const parsed = parseArgs(first ? args.slice(1) : args, { ...subSpec, name: `${spec.name} ${name}` });
+		return { ...parsed, positionals: { ...leading, ...parsed.positionals }, subcommand: name };
+	}
+
+	const optionSpecs = spec.options || {};
+	const byShort = Object.fromEntries(Object.entries(optionSpecs)
+		.filter(([, o]) => o.short)
+		.map(([flag, o]) => [o.short, flag]));
+
+	const options = {};
+	for (const [flag, option] of Object.entries(optionSpecs)) {
+		const key = camelCase(flag);
+		if (option.multiple || option.list) options[key] = [];
+		else if (option.type === 'boolean') options[key] = false;
+		else options[key] = option.default ?? null;
+	}
+
+	const rest = [];
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === '--') {
+			rest.push(...args.slice(i + 1));
+			break;
+		}
+
+		let flag = null;
+		let inline;
+		if (arg.startsWith('--') && arg.length > 2) {
+			const eq = arg.indexOf('=');
+			flag = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+			if (eq !== -1) inline = arg.slice(eq + 1);
+		} else if (/^-[A-Za-z]$/.test(arg)) {
+			flag = byShort[arg.slice(1)];
+			if (!flag) throw usageError(spec, `Unknown option: ${arg}`);
+		} else {
+			rest.push(arg);
+			continue;
+		}
+
+		const option = optionSpecs[flag];
+		if (!option) {
+			throw usageError(spec, `Unknown option: --${flag}`);
+		}
+		const key = camelCase(flag);
+
+		if (option.type === 'boolean') {
+			if (inline !== undefined && !['true', 'false'].includes(inline)) {
+				throw usageError(spec, `Option --${flag} does not take a value.`);
+			}
+			options[key] = inline !== 'false';
+			continue;
+		}
+
+		let raw = inline;
+		if (raw === undefined) {
+			if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+				throw usageError(spec, `Option --${flag} requires a value.`);
+			}
+			raw = args[++i];
+		}
+		if (option.list) {
+			const values = raw.split(',').map(v => v.trim()).filter(Boolean)
+				.map(v => convertValue(spec, flag, option, v));
+			options[key] = [...(options[key] || []), ...values];
+		} else if (option.multiple) {
+			options[key].push(convertValue(spec, flag, option, raw));
+		} else {
+			options[key] = convertValue(spec, flag, option, raw);
+		}
+	}
+
+	const positionals = {};
+	const positionalSpecs = spec.positionals || [];
+	for (const [index, positional] of positionalSpecs.entries()) {
+		if (positional.variadic) {
+			positionals[positional.name] = rest.slice(index);
+		} else {
+			positionals[positional.name] = rest[index] ?? null;
+		}
+		const value = positionals[positional.name];
+		const missing = positional.variadic ? value.length === 0 : value === null;
+		if (positional.required && missing) {
+			throw usageError(spec, `Missing required argument <${positional.name}>.`);
+		}
+	}
+	const extra = positionalSpecs.some(p => p.variadic) ? [] : rest.slice(positionalSpecs.length);
+	if (extra.length > 0) {
+		throw usageError(spec, `Unexpected argument: ${extra[0]}`);
+	}
+
+	return { positionals, options, help: false };
+}
+
+function positionalUsage(positional) {
+	const label = `${positional.name}${positional.variadic ? '...' : ''}`;
+	return positional.required ? `<${label}>` : `[${label}]`;
+}
+
+function optionUsage(flag, option) {
+	const names = option.short ? `-${option.short}, --${flag}` : `--${flag}`;
+	if (option.type === 'boolean') return names;
+	return `${names} <${option.placeholder || 'value'}${option.list ? ',...' : ''}>`;
+}
+
+function describeOption(option) {
+	let text = option.summary || '';
+	const choices = option.choices ? resolveChoices(option) : option.valueHint?.();
+	if (choices) text += `${text ? ' ' : ''}(${choices.join('|')})`;
+	if (option.default != null && option.type !== 'boolean') text += ` (default: ${option.default})`;
+	return text;
+}
+
+function pad(text, width) {
+	return text.length >= width ? `${text}  ` : text.padEnd(width);
+}
+
+/**
+ * Render `--help` text for a command spec.
+ * @param {object} spec
+ * @returns {string}
+ */
+export function formatHelp(spec) {
+	const lines = [];
+	const hasOptions = Object.keys(spec.options || {}).length > 0;
+
+	if (spec.subcommands) {
+		const leading = (spec.positionals || []).map(positionalUsage).join(' ');
+		lines.push(`Usage: ${commandLabel(spec)} ${leading ? leading + ' ' : ''}<subcommand> [options]`, '');
+		if (spec.summary) lines.push(spec.summary, '');
+		lines.push('Subcommands:');
+		for (const [name, sub] of Object.entries(spec.subcommands)) {
+			const args = (sub.positionals || []).map(positionalUsage).join(' ');
+			const isDefault = name === spec.defaultSubcommand ? ' (default)' : '';
+			lines.push(`  ${pad(`${name}${args ? ' ' + args : ''}`, 28)}${sub.summary || ''}${isDefault}`);
+			for (const [flag, option] of Object.entries(sub.options || {})) {
+				lines.push(`      ${pad(optionUsage(flag, option), 24)}${describeOption(option)}`);
+			}
+		}
+	} else {
+		const args = (spec.positionals || []).map(positionalUsage).join(' ');
+		lines.push(`Usage: ${commandLabel(spec)}${args ? ' ' + args : ''}${hasOptions ? ' [options]' : ''}`, '');
+		if (spec.summary) lines.push(spec.summary, '');
+		if (hasOptions) {
+			lines.push('Options:');
+			for (const [flag, option] of Object.entries(spec.options)) {
+				lines.push(`  ${pad(optionUsage(flag, option), 28)}${describeOption(option)}`);
+			}
+		}
+	}
+
+	if (spec.subcommands) lines.push('', 'Options:');
+	else if (!hasOptions) lines.push('Options:');
+	if (spec.json) lines.push(`  ${pad('--json', 28)}Print JSON instead of text`);
+	lines.push(`  ${pad('-h, --help', 28)}Show this help`);
+
+	if (spec.notes) lines.push('', ...spec.notes);
+	if (spec.examples?.length) {
+		lines.push('', 'Examples:');
+		for (const example of spec.examples) lines.push(`  ${example}`);
+	}
+	return lines.join('\n');
+}
@@ -160,11 +160,12 @@ const iv=setInterval(()=>{s--;el.textContent=s;if(s<=0){clearInterval(iv);card.c
 
 /**
  * Try to extract the GitHub owner/repo from the git remote URL.
+ * @param {string} [cwd] - Folder inside the repo (defaults to process.cwd())
  * @returns {string|null} e.g. "owner/repo" or null
  */
-function getGitRepoFullName() {
+export function getGitRepoFullName(cwd) {
 	try {
-		const remote = execSync('git remote get-url origin', { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+		const remote = execSync('git remote get-url origin', { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
 		// Match SSH (git@github.com:owner/repo.git) or HTTPS (https://github.com/owner/repo.git)
 		const match = remote.match(/github\.com[:/]([^/]+\/[^/.]+?)(?:\.git)?$/);
 		return match ? match[1] : null;
@@ -0,0 +1,157 @@
+/**
+ * Terminal rendering for `lightsprint board`.
+ *
+ * Columns are laid out side by side when each gets at least
+ * MIN_COLUMN_WIDTH characters of the terminal, otherwise stacked.
+ */
+
+export const MIN_COLUMN_WIDTH = 24;
+const GAP = '  ';
+const ACTIVE_MARK = '▶ ';
+const MAX_TITLE_LINES = 2;
+
+/**
+ * @typedef {{ key: string, name: string, count: number, tasks: object[] }} BoardColumn
+ */
+
+function truncate(text, max) {
+	if (max <= 0) return '';
+	return text.length > max ? text.slice(0, Math.max(max - 1, 0)) + '…' : text;
+}
+
+/**
+ * Word-wrap text into at most `maxLines` lines of `width` characters.
+ */
+function wrap(text, width, maxLines) {
+	const lines = [];
+	let line = '';
+	const words = String(text).split(/\s+/).filter(Boolean);
+	for (let i = 0; i < words.length; i++) {
+		const word = words[i];
+		const next = line ? `${line} ${word}` : word;
+		if (next.length <= width) {
+			line = next;
+			continue;
+		}
+		if (line) lines.push(line);
+		line = word;
+		if (lines.length === maxLines - 1) {
+			// Last allowed line: fit the rest and cut
+			line = truncate(words.slice(i).join(' '), width);
+			break;
+		}
+	}
+	if (line) lines.push(truncate(line, width));
+	return lines.slice(0, maxLines);
+}
+
+function cardMeta(task) {
+	const parts = [];
+	if (task.assignee) parts.push(task.assignee);
+	if (task.complexity && task.complexity !== 'unknown') parts.push(task.complexity);
+	return parts.join(' · ');
+}
+
+function style(color) {
+	const wrapWith = (open, close) => text => color ? `\x1b[${open}m${text}\x1b[${close}m` : text;
+	return { bold: wrapWith(1, 22), dim: wrapWith(2, 22), highlight: wrapWith(7, 27) };
+}
+
+/**
+ * Render one card as plain lines of at most `width` characters.
+ * @returns {Array<{ text: string, kind: 'title' | 'meta' }>}
+ */
+function cardLines(task, width, active) {
+	const prefix = active ? ACTIVE_MARK : '';
+	const titleLines = wrap(task.title || '(untitled)', width - prefix.length, MAX_TITLE_LINES)
+		.map((text, i) => ({ text: (i === 0 ? prefix : ' '.repeat(prefix.length)) + text, kind: 'title' }));
+	const lines = [...titleLines, { text: truncate(`  ${task.id}`, width), kind: 'meta' }];
+	const meta = cardMeta(task);
+	if (meta) lines.push({ text: truncate(`  ${meta}`, width), kind: 'meta' });
+	return lines;
+}
+
+function columnHeader(column) {
+	return `${column.name} (${column.count})`;
+}
+
+/**
+ * Render columns side by side.
+ * @param {BoardColumn[]} columns
+ * @param {{ width: number, activeTaskId?: string, color?: boolean }} options
+ * @returns {string}
+ */
+export function renderColumns(columns, { width, activeTaskId, color = false }) {
+	const s = style(color);
+	const colWidth = Math.floor((width - GAP.length * (columns.length - 1)) / columns.length);
+
+	// Build each column as a list of [plain text, styled text] rows
+	const rendered = columns.map(column => {
+		const rows = [
+			[truncate(columnHeader(column), colWidth), text => s.bold(text)],
+			['─'.repeat(colWidth), text => s.dim(text)]
+		];
+		for (const task of column.tasks) {
+			const active = task.id === activeTaskId;
+			for (const line of cardLines(task, colWidth, active)) {
+				const styler = line.kind === 'meta' ? s.dim : (active ? s.highlight : (text => text));
+				rows.push([line.text, styler]);
+			}
+			rows.push(['', text => text]);
+		}
+		const hidden = column.count - column.tasks.length;
+		if (hidden > 0) rows.push([`+${hidden} more`, text => s.dim(text)]);
+		return rows;
+	});
+
+	const height = Math.max(...rendered.map(rows => rows.length));
+	const out = [];
+	for (let i = 0; i < height; i++) {
+		const cells = rendered.map(rows => {
+			const [text, styler] = rows[i] || ['', t => t];
+			return styler(text) + ' '.repeat(colWidth - text.length);
+		});
+		out.push(cells.join(GAP).trimEnd());
+	}
+	return out.join('\n').replace(/\n+$/, '');
+}
+
+/**
+ * Render columns one under another.
+ * @param {BoardColumn[]} columns
+ * @param {{ width: number, activeTaskId?: string, color?: boolean }} options
+ * @returns {string}
+ */
+export function renderStacked(columns, { width, activeTaskId, color = false }) {
+	const s = style(color);
+	const out = [];
+	for (const column of columns) {
+		out.push(s.bold(columnHeader(column)));
+		if (column.tasks.length === 0) out.push(s.dim('  (empty)'));
+		for (const task of column.tasks) {
+			const active = task.id === activeTaskId;
+			const meta = cardMeta(task);
+			const head = `${active ? ACTIVE_MARK : '  '}${task.id}  `;
+			const title = truncate(task.title || '(untitled)', width - head.length - (meta ? meta.length + 3 : 0));
+			const line = `${head}${active ? s.highlight(title) : title}${meta ? s.dim(` [${meta}]`) : ''}`;
+			out.push(line);
+		}
+		const hidden = column.count - column.tasks.length;
+		if (hidden > 0) out.push(s.dim(`  +${hidden} more`));
+		out.push('');
+	}
+	return out.join('\n').replace(/\n+$/, '');
+}
+
+/**
+ * Render the board, choosing the layout from the terminal width.
+ * @param {BoardColumn[]} columns
+ * @param {{ width: number, layout?: 'auto' | 'columns' | 'stacked', activeTaskId?: string, color?: boolean }} options
+ * @returns {string}
+ */
+export function renderBoard(columns, options) {
+	const layout = options.layout && options.layout !== 'auto'
+		? options.layout
+		: (options.width >= columns.length * MIN_COLUMN_WIDTH + GAP.length * (columns.length - 1) ? 'columns' : 'stacked');
+	return layout === 'columns' ? renderColumns(columns, options) : renderStacked(columns, options);
+}
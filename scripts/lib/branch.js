@@ -0,0 +1,129 @@
+/**
+ * Task branches: name a branch after a task and find the task from a branch.
+ *
+ * The branch pattern comes from the `branchPattern` setting (config.json,
+ * its per-project entry, or the repo's .lightsprint.json) and defaults to
+ * `ls/{id}-{slug}`, where {id} is the task ID and {slug} its slugified title.
+ */
+
+import { getSettings } from './config.js';
+import { getCurrentBranch, getWorktreeRoot, listWorktrees, branchExists, gitOrThrow } from './git.js';
+
+export const DEFAULT_BRANCH_PATTERN = 'ls/{id}-{slug}';
+const MAX_SLUG_LENGTH = 40;
+
+// UUIDs contain dashes, so match them explicitly before falling back to dash-free IDs
+const ID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[A-Za-z0-9_]+';
+
+/**
+ * Whether a pattern can tell task branches from other branches: besides {id}
+ * and {slug} it needs a letter or digit of its own, or `main` and `develop`
+ * would parse as task IDs.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isUsablePattern(pattern) {
+	return pattern.includes('{id}') && /[A-Za-z0-9]/.test(pattern.replace(/\{(id|slug)\}/g, ''));
+}
+
+/**
+ * Get the branch pattern for a folder. Patterns without {id}, or with
+ * nothing but separators around it, fall back to the default.
+ * @param {string} [cwd]
+ * @returns {string}
+ */
+export function getBranchPattern(cwd) {
+	const pattern = getSettings(cwd).branchPattern;
+	return typeof pattern === 'string' && isUsablePattern(pattern) ? pattern : DEFAULT_BRANCH_PATTERN;
+}
+
+/**
+ * Turn a task title into a branch-safe slug.
+ * @param {string} title
+ * @returns {string}
+ */
+export function slugify(title) {
+	return String(title || '')
+		.normalize('NFKD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.slice(0, MAX_SLUG_LENGTH)
+		.replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build the branch name for a task.
+ * @param {{ id: string, title?: string }} task
+ * @param {string} [pattern]
+ * @returns {string}
+ */
+export function taskBranchName(task, pattern = DEFAULT_BRANCH_PATTERN) {
+	return pattern
+		.replace('{id}', task.id)
+		.replace('{slug}', slugify(task.title))
+		// An empty slug would leave a dangling separator
+		.replace(/[-_/.]+$/, '');
+}
+
+/**
+ * Extract the task ID from a branch name built with `pattern`.
+ * @param {string} branch
+ * @param {string} [pattern]
+ * @returns {string | null}
+ */
+export function parseTaskBranch(branch, pattern = DEFAULT_BRANCH_PATTERN) {
+	if (!branch) return null;
+	const SLUG = '\u0000slug\u0000';
+	const ID = '\u0000id\u0000';
+	const source = pattern
+		.replace(/[-_/.]?\{slug\}/, SLUG)
+		.replace('{id}', ID)
+		.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+		.replace(SLUG, '(?:[-_/.]?[a-z0-9-]*)?')
+		.replace(ID, `(${ID_PATTERN})`);
+	const match = branch.match(new RegExp(`^${source}$`));
+	return match ? match[1] : null;
+}
+
+/**
+ * Infer the current task from the checked-out branch.
+ * Works in any worktree, since each worktree has its own HEAD.
+ * @param {string} [cwd]
+ * @returns {{ taskId: string, branch: string } | null}
+ */
+export function getBranchTask(cwd) {
+	const branch = getCurrentBranch(cwd);
+	const taskId = parseTaskBranch(branch, getBranchPattern(cwd));
+	return taskId ? { taskId, branch } : null;
+}
+
+/**
+ * Create (or reuse) and check out the branch for a task.
+ * @param {{ id: string, title?: string }} task
+ * @param {string} [cwd]
+ * @returns {{ branch: string, created: boolean }}
+ * @throws {Error} if the branch is checked out in another worktree or git fails
+ */
+export function checkoutTaskBranch(task, cwd) {
+	const dir = cwd || process.cwd();
+	const branch = taskBranchName(task, getBranchPattern(dir));
+
+	if (getCurrentBranch(dir) === branch) {
+		return { branch, created: false };
+	}
+
+	// git refuses to check out a branch that another worktree has checked out
+	const root = getWorktreeRoot(dir);
+	const elsewhere = listWorktrees(dir).find(w => w.branch === branch && w.path !== root);
+	if (elsewhere) {
+		throw new Error(`Branch ${branch} is already checked out in worktree ${elsewhere.path} — work on the task there.`);
+	}
+
+	if (branchExists(branch, dir)) {
+		gitOrThrow(['checkout', branch], dir);
+		return { branch, created: false };
+	}
+	gitOrThrow(['checkout', '-b', branch], dir);
+	return { branch, created: true };
+}
@@ -2,9 +2,17 @@
  * HTTP client for Lightsprint API.
  * Uses Node.js built-in fetch with Bearer token auth.
  * Handles automatic token refresh when access token expires.
+ * Failed writes (network errors, 5xx, failed token refresh) are queued in
+ * the offline outbox for replay with `lightsprint sync`.
  */
 
+import { randomUUID } from 'crypto';
 import { requireConfig, readProjectsFile, writeProjectsFile } from './config.js';
+import { enqueue } from './outbox.js';
+
+const QUEUED_METHODS = ['POST', 'PATCH'];
+// An unreachable server must not hang a command (or a git commit) for minutes
+const REQUEST_TIMEOUT_MS = 30 * 1000;
 
 let _config = null;
 
@@ -20,7 +28,9 @@ async function config() {
 	if (!_config) {
 		_config = await requireConfig();
 		if (!_config) {
-			throw new Error('Lightsprint is not connected for this folder.');
+			const err = new Error('Lightsprint is not connected for this folder.');
+			err.code = 'not_connected';
+			throw err;
 		}
 	}
 	return _config;
@@ -46,6 +56,7 @@ async function refreshTokenIfNeeded() {
 
 	try {
 		const response = await fetch(`${cfg.baseUrl}/oauth/token`, {
+			signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
 			method: 'POST',
 			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
 			body: new URLSearchParams({
@@ -85,33 +96,76 @@ async function refreshTokenIfNeeded() {
 /**
  * Make an authenticated request to the Lightsprint API.
  * Automatically refreshes the access token if expired.
+ *
+ * POST/PATCH requests carry an Idempotency-Key header. If one fails for a
+ * transient reason (network error, 5xx, token refresh failure) it is queued
+ * in the outbox and the thrown error has `queued` set to the entry.
+ *
  * @param {string} path - API path (e.g., '/api/projects/abc/tasks')
- * @param {object} [options] - fetch options
+ * @param {object} [options] - fetch options, plus:
+ * @param {boolean} [options.queue=true] - Queue the write in the outbox on transient failure
+ * @param {string} [options.idempotencyKey] - Reuse a key (outbox replay)
+ * @param {number} [options.timeout=REQUEST_TIMEOUT_MS] - Give up (as a network error) after this many ms
  * @returns {Promise<any>} Parsed JSON response
  */
 export async function apiRequest(path, options = {}) {
+	const { queue = true, idempotencyKey, timeout = REQUEST_TIMEOUT_MS, ...fetchOptions } = options;
 	const cfg = await config();
 
+	const method = (fetchOptions.method || 'GET').toUpperCase();
+	const queueable = queue && QUEUED_METHODS.includes(method);
+	const key = QUEUED_METHODS.includes(method) ? (idempotencyKey || randomUUID()) : null;
+
+	const queueAndThrow = (reason) => {
+		if (!queueable) return;
+		const entry = enqueue({
+			id: key,
+			method,
+			path,
+			body: fetchOptions.body,
+			folder: cfg.folder,
+			projectId: cfg.projectId,
+			error: reason
+		});
+		const err = new Error(`Lightsprint: ${reason}. Change queued for retry — run 'lightsprint sync'.`);
+		err.queued = entry;
+		throw err;
+	};
+
 	// Refresh token if needed
 	const refreshed = await refreshTokenIfNeeded();
 	if (!refreshed) {
+		queueAndThrow('unable to authenticate');
 		throw new Error('Lightsprint: unable to authenticate. Please re-run install.sh.');
 	}
 
 	const url = `${cfg.baseUrl}${path}`;
 
-	const response = await fetch(url, {
-		...options,
-		headers: {
-			'Authorization': `Bearer ${cfg.accessToken}`,
-			'Content-Type': 'application/json',
-			...options.headers
-		}
-	});
+	let response;
+	try {
+		response = await fetch(url, {
+			signal: AbortSignal.timeout(timeout),
+			...fetchOptions,
+			headers: {
+				'Authorization': `Bearer ${cfg.accessToken}`,
+				'Content-Type': 'application/json',
+				...(key ? { 'Idempotency-Key': key } : {}),
+				...fetchOptions.headers
+			}
+		});
+	} catch (err) {
+		queueAndThrow(err.name === 'TimeoutError' ? `no response in ${timeout / 1000}s` : `network error (${err.cause?.code || err.message})`);
+		throw err;
+	}
 
 	if (!response.ok) {
 		const text = await response.text().catch(() => '');
-		throw new Error(`Lightsprint API ${response.status}: ${text}`);
+		if (response.status >= 500) {
+			queueAndThrow(`API unavailable (${response.status})`);
+		}
+		const err = new Error(`Lightsprint API ${response.status}: ${text}`);
+		err.status = response.status;
+		throw err;
 	}
 
 	if (response.status === 204) return null;
@@ -0,0 +1,55 @@
+/**
+ * Commit linking: post a commit's SHA, subject and diffstat to a task.
+ * Used by the post-commit git hook and `lightsprint link-commit`.
+ */
+
+import { apiRequest } from './client.js';
+import { getGitRepoFullName } from './auth.js';
+import { getCommitInfo, getCurrentBranch } from './git.js';
+
+export const TASK_TRAILER = 'Lightsprint-Task';
+
+/**
+ * Render the task comment for a commit.
+ * @param {{ sha: string, shortSha: string, subject: string, diffstat: string }} commit
+ * @param {{ repo?: string | null, branch?: string | null }} [context]
+ * @returns {string}
+ */
+export function formatCommitComment(commit, { repo, branch } = {}) {
+	const ref = repo
+		? `[\`${commit.shortSha}\`](https://github.com/${repo}/commit/${commit.sha})`
+		: `\`${commit.shortSha}\``;
+	const lines = [`**Commit** ${ref}${branch ? ` on \`${branch}\`` : ''} — ${commit.subject}`];
+	if (commit.diffstat) {
+		lines.push('', '```', commit.diffstat, '```');
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Post a commit to a task as a comment.
+ * @param {string} ref - SHA or commit-ish
+ * @param {string} taskId
+ * @param {{ cwd?: string, withBranch?: boolean, timeout?: number }} [options] - withBranch
+ *   names the current branch (only meaningful right after committing); timeout
+ *   is passed to apiRequest
+ * @returns {Promise<{ sha: string, shortSha: string, subject: string }>}
+ * @throws {Error} if the commit cannot be found
+ */
+export async function linkCommit(ref, taskId, { cwd, withBranch = false, timeout } = {}) {
+	const commit = getCommitInfo(ref, cwd);
+	if (!commit) {
+		throw new Error(`Commit ${ref} not found in this repository.`);
+	}
+
+	const body = formatCommitComment(commit, {
+		repo: getGitRepoFullName(cwd),
+		branch: withBranch ? getCurrentBranch(cwd) : null
+	});
+	await apiRequest(`/api/tasks/${taskId}/comments`, {
+		method: 'POST',
+		body: JSON.stringify({ body }),
+		...(timeout ? { timeout } : {})
+	});
+	return commit;
+}
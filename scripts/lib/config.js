@@ -5,6 +5,9 @@
  * 1. Walk up from process.cwd() in ~/.lightsprint/projects.json
  * 2. Fall back to git main worktree path (supports git worktrees)
  * 3. If no match found, trigger browser-based OAuth (interactive only)
+ *
+ * Settings (status mapping, etc.) are layered:
+ * ~/.lightsprint/config.json → its projects[<projectId>] entry → .lightsprint.json in the repo
  */
 
 import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
@@ -15,6 +18,7 @@ import { execSync } from 'child_process';
 const CONFIG_DIR = join(homedir(), '.lightsprint');
 const PROJECTS_FILE = join(CONFIG_DIR, 'projects.json');
 const PLUGIN_CONFIG_FILE = join(CONFIG_DIR, 'config.json');
+const REPO_CONFIG_FILENAME = '.lightsprint.json';
 
 export function ensureConfigDir() {
 	if (!existsSync(CONFIG_DIR)) {
@@ -37,6 +41,62 @@ export function readPluginConfig() {
 	return {};
 }
 
+/**
+ * Read the nearest repo-level config (.lightsprint.json), walking up from cwd.
+ * @param {string} [cwd]
+ * @returns {object}
+ */
+export function readRepoConfig(cwd) {
+	let dir = cwd || process.cwd();
+	while (true) {
+		const file = join(dir, REPO_CONFIG_FILENAME);
+		if (existsSync(file)) {
+			try {
+				return JSON.parse(readFileSync(file, 'utf-8'));
+			} catch {
+				// Corrupted file, ignore
+				return {};
+			}
+		}
+		const parent = dirname(dir);
+		if (parent === dir) break; // reached root
+		dir = parent;
+	}
+	return {};
+}
+
+/**
+ * Deep-merge plain objects; later layers win, arrays are replaced.
+ */
+function mergeSettings(...layers) {
+	const result = {};
+	for (const layer of layers) {
+		if (!layer || typeof layer !== 'object') continue;
+		for (const [key, value] of Object.entries(layer)) {
+			const current = result[key];
+			if (value && typeof value === 'object' && !Array.isArray(value)
+				&& current && typeof current === 'object' && !Array.isArray(current)) {
+				result[key] = mergeSettings(current, value);
+			} else {
+				result[key] = value;
+			}
+		}
+	}
+	return result;
+}
+
+/**
+ * Get the effective plugin settings for a folder.
+ * Global config.json, then its per-project override, then the repo's .lightsprint.json.
+ * @param {string} [cwd]
+ * @returns {object}
+ */
+export function getSettings(cwd) {
+	const { projects: perProject, ...global } = readPluginConfig();
+	const projectId = findProjectConfig(cwd)?.projectId;
+	return mergeSettings(global, projectId ? perProject?.[projectId] : undefined, readRepoConfig(cwd));
+}
+
 /**
  * Get the default base URL from env, plugin config, or hardcoded fallback.
  */
@@ -0,0 +1,135 @@
+/**
+ * Board snapshots for `lightsprint export`: Markdown grouped by column, CSV
+ * with one row per task, or JSON.
+ */
+
+import { taskJson, commentJson, formatTime } from './output.js';
+import { relatedFilePath } from './related-files.js';
+
+export const EXPORT_FORMATS = ['md', 'csv', 'json'];
+
+const CSV_COLUMNS = [
+	'id', 'number', 'title', 'status', 'column', 'assignee', 'complexity',
+	'description', 'todos', 'todos_done', 'todos_total', 'related_files',
+	'created_at', 'updated_at'
+];
+
+/**
+ * @typedef {{ key: string, name: string, tasks: object[] }} ExportColumn
+ *   Tasks may carry `comments` (API comments) when they were requested.
+ */
+
+function csvCell(value) {
+	const text = value == null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function todoLine(item) {
+	return `${item.completed ? '[x]' : '[ ]'} ${item.text}`;
+}
+
+function commentLine(comment) {
+	const { author, createdAt, body } = commentJson(comment);
+	return `${author || 'unknown'} (${formatTime(createdAt)}): ${body}`;
+}
+
+/**
+ * Render columns as Markdown: a section per column, a subsection per task.
+ * @param {ExportColumn[]} columns
+ * @param {{ projectName?: string, exportedAt: string, withComments?: boolean }} meta
+ * @returns {string}
+ */
+export function exportMarkdown(columns, { projectName, exportedAt, withComments = false }) {
+	const total = columns.reduce((sum, column) => sum + column.tasks.length, 0);
+	const lines = [
+		`# ${projectName || 'Lightsprint'} board`,
+		'',
+		`Exported ${formatTime(exportedAt)} · ${total} task(s)`
+	];
+
+	for (const column of columns) {
+		lines.push('', `## ${column.name} (${column.tasks.length})`);
+		if (column.tasks.length === 0) {
+			lines.push('', '_No tasks._');
+		}
+		for (const task of column.tasks) {
+			const meta = [`\`${task.id}\``];
+			if (task.assignee) meta.push(task.assignee);
+			if (task.complexity && task.complexity !== 'unknown') meta.push(task.complexity);
+			lines.push('', `### ${task.title}`, '', meta.join(' · '));
+
+			if (task.description) {
+				lines.push('', task.description.trim());
+			}
+			const todoList = task.todoList || [];
+			if (todoList.length > 0) {
+				const done = todoList.filter(item => item.completed).length;
+				lines.push('', `**Todo list** (${done}/${todoList.length})`, '');
+				lines.push(...todoList.map(item => `- ${todoLine(item)}`));
+			}
+			const files = (task.relatedFiles || []).map(relatedFilePath);
+			if (files.length > 0) {
+				lines.push('', '**Related files**', '');
+				lines.push(...files.map(path => `- \`${path}\``));
+			}
+			if (withComments && task.comments?.length > 0) {
+				lines.push('', `**Comments** (${task.comments.length})`, '');
+				for (const comment of task.comments) {
+					const { author, createdAt, body } = commentJson(comment);
+					const [first, ...rest] = body.trim().split('\n');
+					lines.push(`- **${author || 'unknown'}** (${formatTime(createdAt)}): ${first}`);
+					lines.push(...rest.map(line => `  ${line}`.trimEnd()));
+				}
+			}
+		}
+	}
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Render tasks as CSV (RFC 4180), one row per task. Lists (todos, files,
+ * comments) are newline-separated inside their cell.
+ * @param {ExportColumn[]} columns
+ * @param {{ withComments?: boolean, statusMap?: object }} [options]
+ * @returns {string}
+ */
+export function exportCsv(columns, { withComments = false, statusMap } = {}) {
+	const header = withComments ? [...CSV_COLUMNS, 'comments'] : CSV_COLUMNS;
+	const rows = [header];
+	for (const column of columns) {
+		for (const task of column.tasks) {
+			const json = taskJson(task, statusMap);
+			const row = [
+				json.id, json.number, json.title, json.status, column.name, json.assignee, json.complexity,
+				json.description, json.todoList.map(todoLine).join('\n'),
+				json.todoList.filter(item => item.completed).length, json.todoList.length,
+				json.relatedFiles.join('\n'), json.createdAt, json.updatedAt
+			];
+			if (withComments) row.push((task.comments || []).map(commentLine).join('\n'));
+			rows.push(row);
+		}
+	}
+	return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Render columns as a JSON document.
+ * @param {ExportColumn[]} columns
+ * @param {{ projectName?: string, exportedAt: string, withComments?: boolean, statusMap?: object }} meta
+ * @returns {string}
+ */
+export function exportJson(columns, { projectName, exportedAt, withComments = false, statusMap }) {
+	return JSON.stringify({
+		project: projectName || null,
+		exportedAt,
+		columns: columns.map(column => ({
+			key: column.key,
+			name: column.name,
+			count: column.tasks.length,
+			tasks: column.tasks.map(task => ({
+				...taskJson(task, statusMap),
+				...(withComments ? { comments: (task.comments || []).map(commentJson) } : {})
+			}))
+		}))
+	}, null, 2) + '\n';
+}
@@ -0,0 +1,144 @@
+/**
+ * Git helpers for Lightsprint plugin.
+ * All helpers return null (never throw) when git is unavailable or the
+ * folder is not inside a repository.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Run a git command and return its trimmed stdout, or null on failure.
+ * @param {string[]} args - git arguments
+ * @param {string} [cwd]
+ * @returns {string | null}
+ */
+export function git(args, cwd) {
+	try {
+		return execFileSync('git', args, {
+			cwd: cwd || process.cwd(),
+			encoding: 'utf-8',
+			stdio: ['pipe', 'pipe', 'pipe']
+		}).trimEnd();
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Run a git command, throwing an Error with git's own message on failure.
+ * Use for user-initiated operations whose failure should be reported.
+ * @param {string[]} args - git arguments
+ * @param {string} [cwd]
+ * @returns {string} Trimmed stdout
+ */
+export function gitOrThrow(args, cwd) {
+	try {
+		return execFileSync('git', args, {
+			cwd: cwd || process.cwd(),
+			encoding: 'utf-8',
+			stdio: ['pipe', 'pipe', 'pipe'],
+			// Listings such as ls-files can be large
+			maxBuffer: 64 * 1024 * 1024
+		}).trimEnd();
+	} catch (err) {
+		const message = err.stderr?.toString().trim() || err.message;
+		throw new Error(`git ${args[0]} failed: ${message}`);
+	}
+}
+
+/**
+ * Get the root of the current worktree (the checkout containing cwd).
+ * Each `git worktree` checkout has its own root, unlike the main worktree.
+ * @param {string} [cwd]
+ * @returns {string | null}
+ */
+export function getWorktreeRoot(cwd) {
+	return git(['rev-parse', '--show-toplevel'], cwd) || null;
+}
+
+/**
+ * Resolve a path inside the git directory (e.g. 'hooks'), honouring
+ * worktrees and core.hooksPath.
+ * @param {string} name
+ * @param {string} [cwd]
+ * @returns {string | null} Absolute path
+ */
+export function getGitPath(name, cwd) {
+	const path = git(['rev-parse', '--git-path', name], cwd);
+	return path ? resolve(cwd || process.cwd(), path) : null;
+}
+
+/**
+ * Whether a rebase is in progress (commits are being replayed, not authored).
+ * @param {string} [cwd]
+ * @returns {boolean}
+ */
+export function isRebasing(cwd) {
+	return ['rebase-merge', 'rebase-apply'].some(name => {
+		const path = getGitPath(name, cwd);
+		return path ? existsSync(path) : false;
+	});
+}
+
+/**
+ * Get the current branch name (null when detached or outside a repo).
+ * @param {string} [cwd]
+ * @returns {string | null}
+ */
+export function getCurrentBranch(cwd) {
+	const branch = git(['symbolic-ref', '--quiet', '--short', 'HEAD'], cwd);
+	return branch || null;
+}
+
+/**
+ * Get a commit's metadata and diffstat.
+ * @param {string} ref - SHA or any commit-ish
+ * @param {string} [cwd]
+ * @returns {{ sha: string, shortSha: string, subject: string, taskTrailer: string | null, diffstat: string } | null}
+ */
+export function getCommitInfo(ref, cwd) {
+	const meta = git(['log', '-1', '--format=%H%n%h%n%s%n%(trailers:key=Lightsprint-Task,valueonly,separator=%x2C)', ref, '--'], cwd);
+	if (!meta) return null;
+	const [sha, shortSha, subject, trailer] = meta.split('\n');
+	const diffstat = git(['show', '--stat', '--format=', ref, '--'], cwd) || '';
+	return {
+		sha,
+		shortSha,
+		subject,
+		taskTrailer: trailer?.split(',')[0].trim() || null,
+		diffstat
+	};
+}
+
+/**
+ * List all worktrees of the repository (main worktree first).
+ * @param {string} [cwd]
+ * @returns {Array<{ path: string, branch: string | null, head: string | null }>}
+ */
+export function listWorktrees(cwd) {
+	const output = git(['worktree', 'list', '--porcelain'], cwd);
+	if (!output) return [];
+	return output.split('\n\n').map(block => {
+		const fields = Object.fromEntries(block.split('\n').map(line => {
+			const space = line.indexOf(' ');
+			return space === -1 ? [line, true] : [line.slice(0, space), line.slice(space + 1)];
+		}));
+		return {
+			path: fields.worktree,
+			branch: typeof fields.branch === 'string' ? fields.branch.replace(/^refs\/heads\//, '') : null,
+			head: fields.HEAD || null
+		};
+	}).filter(w => w.path);
+}
+
+/**
+ * Whether a local branch exists.
+ * @param {string} branch
+ * @param {string} [cwd]
+ * @returns {boolean}
+ */
+export function branchExists(branch, cwd) {
+	return git(['show-ref', '--verify', '--quiet', `refs/heads/${branch}`], cwd) !== null;
+}
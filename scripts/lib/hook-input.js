@@ -0,0 +1,62 @@
+/**
+ * Shared plumbing for Claude Code hook handlers.
+ *
+ * Hooks receive a JSON payload on stdin (or, for compiled binaries, via a
+ * file path argument) and must never crash the session — every handler logs
+ * to ~/.lightsprint/sync.log instead of printing errors.
+ */
+
+import { appendFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+
+const LOG_DIR = join(homedir(), '.lightsprint');
+const LOG_FILE = join(LOG_DIR, 'sync.log');
+
+/**
+ * Create a logger that appends tagged lines to ~/.lightsprint/sync.log.
+ * @param {string} source - Handler name written into each line (e.g. 'sync-task')
+ * @returns {(level: string, message: string, data?: object) => void}
+ */
+export function createLogger(source) {
+	return function log(level, message, data) {
+		try {
+			if (!existsSync(LOG_DIR)) mkdirSync(LOG_DIR, { recursive: true });
+			const ts = new Date().toISOString();
+			const line = `${ts} [${level}] ${source}: ${message}${data ? ' ' + JSON.stringify(data) : ''}\n`;
+			appendFileSync(LOG_FILE, line);
+		} catch {
+			// Never crash on logging
+		}
+	};
+}
+
+/**
+ * Read the raw hook payload from a file argument (preferred) or stdin.
+ * @param {string} [inputFile] - Path to a JSON file containing the hook input
+ * @returns {Promise<string>}
+ */
+export async function readRawHookInput(inputFile) {
+	if (inputFile) {
+		// Read from file path argument (avoids stdin issues with compiled binaries)
+		return readFileSync(inputFile, 'utf-8');
+	}
+	if (typeof Bun !== 'undefined') {
+		return await Bun.stdin.text();
+	}
+	const chunks = [];
+	for await (const chunk of process.stdin) {
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks).toString();
+}
+
+/**
+ * Read and parse the hook payload.
+ * @param {string} [inputFile] - Path to a JSON file containing the hook input
+ * @returns {Promise<object>} Parsed payload ({ session_id, cwd, tool_name, tool_input, ... })
+ */
+export async function readHookInput(inputFile) {
+	const raw = await readRawHookInput(inputFile);
+	return JSON.parse(raw.trimEnd() || '{}');
+}
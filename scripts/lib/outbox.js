@@ -0,0 +1,104 @@
+/**
+ * Offline outbox for Lightsprint writes.
+ * Stored in ~/.lightsprint/outbox/, one JSON file per queued mutation.
+ * Uses atomic writes (write tmp + rename) for safety.
+ *
+ * File names start with the queue timestamp so a directory listing is the
+ * replay order. Each entry carries the idempotency key that was sent with
+ * the original request, so a replay of a write that did reach the server
+ * can be deduplicated there.
+ */
+
+import { readFileSync, writeFileSync, renameSync, unlinkSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+
+const OUTBOX_DIR = join(homedir(), '.lightsprint', 'outbox');
+
+function ensureDir() {
+	if (!existsSync(OUTBOX_DIR)) {
+		mkdirSync(OUTBOX_DIR, { recursive: true });
+	}
+}
+
+function writeEntry(entry) {
+	ensureDir();
+	const file = join(OUTBOX_DIR, entry.file);
+	const tmp = file + '.' + randomBytes(4).toString('hex');
+	writeFileSync(tmp, JSON.stringify(entry, null, 2));
+	renameSync(tmp, file);
+}
+
+/**
+ * Queue a failed mutation for later replay.
+ * @param {{ id: string, method: string, path: string, body?: string, folder?: string, projectId?: string, error?: string }} mutation
+ * @returns {object} The stored entry
+ */
+export function enqueue({ id, method, path, body, folder, projectId, error }) {
+	const queuedAt = new Date().toISOString();
+	const entry = {
+		id,
+		method,
+		path,
+		body: body ?? null,
+		folder: folder || null,
+		projectId: projectId || null,
+		queuedAt,
+		attempts: 0,
+		lastError: error || null,
+		// Timestamp prefix keeps files in queue order
+		file: `${Date.now().toString().padStart(15, '0')}-${randomBytes(3).toString('hex')}.json`
+	};
+	writeEntry(entry);
+	return entry;
+}
+
+/**
+ * List queued mutations in replay order.
+ * @param {{ folder?: string }} [filter] - Only entries queued from this folder
+ * @returns {Array<object>}
+ */
+export function listOutbox({ folder } = {}) {
+	if (!existsSync(OUTBOX_DIR)) return [];
+	const result = [];
+	for (const name of readdirSync(OUTBOX_DIR).filter(n => n.endsWith('.json')).sort()) {
+		try {
+			const entry = JSON.parse(readFileSync(join(OUTBOX_DIR, name), 'utf-8'));
+			if (folder && entry.folder !== folder) continue;
+			result.push({ ...entry, file: name });
+		} catch {
+			// Skip corrupted entries
+		}
+	}
+	return result;
+}
+
+/**
+ * Count queued mutations.
+ * @param {{ folder?: string }} [filter]
+ * @returns {number}
+ */
+export function countOutbox(filter) {
+	return listOutbox(filter).length;
+}
+
+/**
+ * Persist replay bookkeeping (attempts, lastError, conflict) for an entry.
+ * @param {object} entry
+ */
+export function updateEntry(entry) {
+	writeEntry(entry);
+}
+
+/**
+ * Remove an entry after a successful replay (or when discarded).
+ * @param {object} entry
+ */
+export function removeEntry(entry) {
+	try {
+		unlinkSync(join(OUTBOX_DIR, entry.file));
+	} catch {
+		// Already gone
+	}
+}
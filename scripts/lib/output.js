@@ -0,0 +1,165 @@
+/**
+ * Output mode for CLI commands: human-readable text (default) or JSON.
+ *
+ * JSON mode is enabled with the global `--json` flag or
+ * LIGHTSPRINT_OUTPUT=json. Commands that support it print exactly one JSON
+ * document to stdout. Failures print `{ "error": { "code", "message" } }`
+ * to stdout as well and exit 1, so a pipeline into `jq` sees them too.
+ *
+ * Error codes:
+ *   usage            Missing or invalid arguments
+ *   invalid_status   Unknown --status value
+ *   no_active_task   @current used with no active task
+ *   not_connected    Folder is not connected to Lightsprint
+ *   not_found        Task (or other resource) does not exist
+ *   ambiguous_task   Task reference matches several tasks (`candidates` is included)
+ *   unauthorized     API rejected the credentials (401/403)
+ *   api_error        Any other API error response (`status` is included)
+ *   queued           Write failed and was queued in the offline outbox
+ *   error            Anything else
+ */
+
+import { taskStatusKey } from './status-mapper.js';
+import { relatedFilePath } from './related-files.js';
+
+let jsonMode = process.env.LIGHTSPRINT_OUTPUT === 'json';
+
+/**
+ * Strip the global --json flag from command arguments and enable JSON mode if
+ * present. Arguments after `--` are text, and are passed on untouched.
+ * @param {string[]} args
+ * @returns {string[]} Arguments without --json
+ */
+export function extractOutputFlag(args) {
+	const end = args.indexOf('--');
+	const options = end === -1 ? args : args.slice(0, end);
+	if (!options.includes('--json')) return args;
+	jsonMode = true;
+	return [...options.filter(arg => arg !== '--json'), ...args.slice(options.length)];
+}
+
+/**
+ * @returns {boolean} Whether commands should print JSON
+ */
+export function isJsonOutput() {
+	return jsonMode;
+}
+
+/**
+ * Print a JSON document to stdout.
+ * @param {object} data
+ */
+export function printJson(data) {
+	console.log(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Create an Error carrying an output error code.
+ * @param {string} code - One of the codes listed above
+ * @param {string} message
+ * @returns {Error}
+ */
+export function cliError(code, message) {
+	const err = new Error(message);
+	err.code = code;
+	return err;
+}
+
+/**
+ * Derive the output error code for an error.
+ * @param {Error} err
+ * @returns {string}
+ */
+export function errorCode(err) {
+	if (err.queued) return 'queued';
+	if (err.status === 404) return 'not_found';
+	if (err.status === 401 || err.status === 403) return 'unauthorized';
+	if (err.status) return 'api_error';
+	return typeof err.code === 'string' && /^[a-z_]+$/.test(err.code) ? err.code : 'error';
+}
+
+/**
+ * Report a failed command and exit 1: JSON in JSON mode, else `Error: <message>`
+ * (usage errors print the usage line alone).
+ * @param {Error} err
+ */
+export function exitWithError(err) {
+	const code = errorCode(err);
+	if (jsonMode) {
+		printJson({
+			error: {
+				code,
+				message: err.message,
+				...(err.status ? { status: err.status } : {}),
+				...(err.queued ? { outboxId: err.queued.id } : {}),
+				...(err.candidates ? { candidates: err.candidates } : {})
+			}
+		});
+	} else if (code === 'usage') {
+		console.error(err.message);
+	} else {
+		console.error(`Error: ${err.message}`);
+	}
+	process.exit(1);
+}
+
+/**
+ * The stable JSON shape of a task.
+ * @param {object} task - Task as returned by the API
+ * @param {object} [statusMap] - From loadStatusMap()
+ * @returns {object}
+ */
+export function taskJson(task, statusMap) {
+	return {
+		id: task.id ?? null,
+		number: task.number ?? null,
+		title: task.title,
+		status: taskStatusKey(task, statusMap) || null,
+		projectStatus: task.projectStatus ?? null,
+		columnName: task.columnName ?? null,
+		assignee: task.assignee ?? null,
+		complexity: task.complexity ?? null,
+		description: task.description ?? null,
+		todoList: (task.todoList || []).map(todoItemJson),
+		relatedFiles: (task.relatedFiles || []).map(relatedFilePath),
+		createdAt: task.createdAt ?? null,
+		updatedAt: task.updatedAt ?? null
+	};
+}
+
+/**
+ * The stable JSON shape of a todo list item.
+ * @param {object} item
+ * @returns {{ text: string, completed: boolean }}
+ */
+export function todoItemJson(item) {
+	return { text: item.text, completed: Boolean(item.completed) };
+}
+
+/**
+ * The stable JSON shape of a task comment.
+ * @param {object} comment - Comment as returned by the API
+ * @returns {object}
+ */
+export function commentJson(comment) {
+	return {
+		id: comment.id ?? null,
+		parentId: comment.parentId ?? null,
+		author: comment.author?.name || comment.authorName || null,
+		body: comment.body ?? '',
+		createdAt: comment.createdAt ?? null,
+		updatedAt: comment.updatedAt ?? null
+	};
+}
+
+/**
+ * Format a timestamp as local `YYYY-MM-DD HH:MM`.
+ * @param {string | null} value
+ * @returns {string}
+ */
+export function formatTime(value) {
+	const date = new Date(value);
+	if (!value || Number.isNaN(date.getTime())) return 'unknown time';
+	const pad = n => String(n).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
@@ -0,0 +1,180 @@
+/**
+ * Interactive terminal picker: a fuzzy-filterable list with arrow-key
+ * selection and a preview pane for the highlighted item.
+ *
+ * Only used when both stdin and stdout are terminals and JSON output is
+ * off; callers fall back to their usual errors otherwise (pipes, hooks,
+ * Claude Code's Bash tool).
+ *
+ * Keys: type to filter, ↑/↓ (Ctrl-P/Ctrl-N) to move, PgUp/PgDn to page,
+ * Enter to select, Esc or Ctrl-C to cancel, Ctrl-U to clear the filter.
+ */
+
+import { emitKeypressEvents } from 'readline';
+import { isJsonOutput } from './output.js';
+
+const MAX_LIST_ROWS = 12;
+const PREVIEW_ROWS = 8;
+// Prompt, filter line, separator above the preview
+const CHROME_ROWS = 3;
+
+/**
+ * Whether an interactive picker can be shown.
+ * @returns {boolean}
+ */
+export function isInteractive() {
+	return Boolean(process.stdin.isTTY && process.stdout.isTTY) && !isJsonOutput();
+}
+
+/**
+ * Score how well a query fuzzily matches text; higher is better.
+ * Every whitespace-separated word must match, as a substring (best, and
+ * earlier is better) or as a subsequence (consecutive letters score more).
+ * @param {string} query
+ * @param {string} text
+ * @returns {number | null} null when the query does not match
+ */
+export function fuzzyScore(query, text) {
+	const haystack = text.toLowerCase();
+	let total = 0;
+	for (const word of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+		const direct = haystack.indexOf(word);
+		if (direct !== -1) {
+			total += 1000 - Math.min(direct, 500);
+			continue;
+		}
+		let score = 0;
+		let from = 0;
+		let run = 0;
+		for (const char of word) {
+			const found = haystack.indexOf(char, from);
+			if (found === -1) return null;
+			run = found === from ? run + 1 : 0;
+			score += 1 + run * 2;
+			from = found + 1;
+		}
+		total += score;
+	}
+	return total;
+}
+
+function fit(text, width) {
+	const line = String(text).replace(/[\r\n\t]+/g, ' ');
+	return line.length > width ? line.slice(0, Math.max(width - 1, 0)) + '…' : line.padEnd(width);
+}
+
+/**
+ * Render one frame of the picker.
+ * @returns {string}
+ */
+export function renderPicker({ prompt, query, matches, selected, offset, label, preview, total }, { width, height }) {
+	const listRows = Math.max(3, Math.min(MAX_LIST_ROWS, height - CHROME_ROWS - PREVIEW_ROWS));
+	const lines = [
+		fit(prompt, width),
+		fit(`> ${query}`, width - 12) + `${matches.length}/${total}`.padStart(12)
+	];
+
+	for (let row = 0; row < listRows; row++) {
+		const item = matches[offset + row];
+		if (!item) {
+			lines.push(row === 0 ? '  (no matches)' : '');
+			continue;
+		}
+		const text = fit(`${offset + row === selected ? '▶ ' : '  '}${label(item, width - 2)}`, width);
+		lines.push(offset + row === selected ? `\x1b[7m${text}\x1b[27m` : text);
+	}
+
+	lines.push(`\x1b[2m${'─'.repeat(width)}\x1b[22m`);
+	const previewLines = matches[selected] ? preview(matches[selected], width) : [];
+	for (let row = 0; row < PREVIEW_ROWS; row++) {
+		lines.push(fit(previewLines[row] ?? '', width).trimEnd());
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Let the user pick an item on the terminal.
+ * @template T
+ * @param {T[]} items - In display order (ties in the filter keep it)
+ * @param {object} options
+ * @param {string} options.prompt - First line, e.g. 'Select a task to claim'
+ * @param {(item: T, width: number) => string} options.label - One list row
+ * @param {(item: T) => string} options.searchText - Text the filter matches
+ * @param {(item: T, width: number) => string[]} options.preview - Preview pane lines
+ * @returns {Promise<T | null>} null when cancelled
+ */
+export function pick(items, { prompt, label, searchText, preview }) {
+	const input = process.stdin;
+	const output = process.stdout;
+	const state = { prompt, query: '', matches: items, selected: 0, offset: 0, label, preview, total: items.length };
+
+	return new Promise(resolve => {
+		const size = () => ({ width: output.columns || 80, height: output.rows || 24 });
+		const listRows = () => Math.max(3, Math.min(MAX_LIST_ROWS, size().height - CHROME_ROWS - PREVIEW_ROWS));
+
+		const render = () => {
+			// Keep the selection inside the visible window
+			if (state.selected < state.offset) state.offset = state.selected;
+			if (state.selected >= state.offset + listRows()) state.offset = state.selected - listRows() + 1;
+			output.write('\x1b[H\x1b[2J' + renderPicker(state, size()));
+		};
+
+		const refilter = () => {
+			state.matches = state.query.trim()
+				? items
+					.map((item, index) => ({ item, index, score: fuzzyScore(state.query, searchText(item)) }))
+					.filter(m => m.score !== null)
+					.sort((a, b) => b.score - a.score || a.index - b.index)
+					.map(m => m.item)
+				: items;
+			state.selected = 0;
+			state.offset = 0;
+		};
+
+		const move = delta => {
+			if (state.matches.length === 0) return;
+			state.selected = Math.min(Math.max(state.selected + delta, 0), state.matches.length - 1);
+		};
+
+		const finish = value => {
+			input.off('keypress', onKey);
+			output.off('resize', render);
+			input.setRawMode(false);
+			input.pause();
+			output.write('\x1b[?25h\x1b[?1049l');
+			resolve(value);
+		};
+
+		const onKey = (str, key = {}) => {
+			if (key.name === 'escape' || (key.ctrl && key.name === 'c')) return finish(null);
+			if (key.name === 'return' || key.name === 'enter') return finish(state.matches[state.selected] ?? null);
+
+			if (key.name === 'up' || (key.ctrl && key.name === 'p')) move(-1);
+			else if (key.name === 'down' || (key.ctrl && key.name === 'n')) move(1);
+			else if (key.name === 'pageup') move(-listRows());
+			else if (key.name === 'pagedown') move(listRows());
+			else if (key.name === 'backspace') {
+				state.query = state.query.slice(0, -1);
+				refilter();
+			} else if (key.ctrl && key.name === 'u') {
+				state.query = '';
+				refilter();
+			} else if (str && !key.ctrl && !key.meta && /^[^\x00-\x1f\x7f]+$/.test(str)) {
+				state.query += str;
+				refilter();
+			} else {
+				return;
+			}
+			render();
+		};
+
+		emitKeypressEvents(input);
+		input.setRawMode(true);
+		input.resume();
+		// Draw on the alternate screen so the picker leaves no trace
+		output.write('\x1b[?1049h\x1b[?25l');
+		input.on('keypress', onKey);
+		output.on('resize', render);
+		render();
+	});
+}
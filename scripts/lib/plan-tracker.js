@@ -1,6 +1,7 @@
 /**
  * Active plan tracker for Lightsprint plugin.
- * Stored in ~/.lightsprint/active-plan.json.
+ * Stored in ~/.lightsprint/active-plan.json; approved plans are kept in
+ * ~/.lightsprint/approved-plans.json.
  * Uses atomic writes (write tmp + rename) for safety.
  */
 
@@ -10,6 +11,9 @@ import { homedir } from 'os';
 import { randomBytes } from 'crypto';
 
 const ACTIVE_FILE = join(homedir(), '.lightsprint', 'active-plan.json');
+const APPROVED_FILE = join(homedir(), '.lightsprint', 'approved-plans.json');
+// Older approvals are dropped
+const MAX_APPROVED_PLANS = 50;
 
 function ensureDir() {
 	const dir = dirname(ACTIVE_FILE);
@@ -61,3 +65,42 @@ export function clearActivePlan() {
 		// Ignore
 	}
 }
+
+/**
+ * Remember an approved plan, for `lightsprint pr-body`.
+ * Stored in ~/.lightsprint/approved-plans.json, newest first.
+ * @param {{ planId: string, projectId: string, taskId?: string | null, folder: string, content: string }} plan
+ *   taskId is the session's Lightsprint task when one is known
+ */
+export function recordApprovedPlan({ planId, projectId, taskId, folder, content }) {
+	const plans = readApprovedPlans().filter(p => p.planId !== planId);
+	plans.unshift({ planId, projectId, taskId: taskId || null, folder, content, approvedAt: new Date().toISOString() });
+	ensureDir();
+	const tmp = APPROVED_FILE + '.' + randomBytes(4).toString('hex');
+	writeFileSync(tmp, JSON.stringify(plans.slice(0, MAX_APPROVED_PLANS), null, 2));
+	renameSync(tmp, APPROVED_FILE);
+}
+
+/**
+ * Get the latest approved plan for a task, else the latest one approved in
+ * the folder without a known task.
+ * @param {{ taskId: string, folder?: string }} scope
+ * @returns {{ planId: string, projectId: string, taskId: string | null, folder: string, content: string, approvedAt: string } | undefined}
+ */
+export function getApprovedPlan({ taskId, folder }) {
+	const plans = readApprovedPlans();
+	return plans.find(p => p.taskId === taskId)
+		|| (folder ? plans.find(p => !p.taskId && p.folder === folder) : undefined);
+}
+
+function readApprovedPlans() {
+	try {
+		if (existsSync(APPROVED_FILE)) {
+			const plans = JSON.parse(readFileSync(APPROVED_FILE, 'utf-8'));
+			if (Array.isArray(plans)) return plans;
+		}
+	} catch {
+		// Corrupted file, start fresh
+	}
+	return [];
+}
@@ -0,0 +1,118 @@
+/**
+ * Pull request descriptions for `lightsprint pr-body`, rendered from a task,
+ * its approved plan and the branch's commits.
+ *
+ * Templates are markdown with placeholders:
+ *
+ *   {{title}} {{id}} {{number}} {{status}} {{assignee}} {{complexity}}
+ *   {{description}} {{todos}} {{files}} {{plan}} {{commits}} {{branch}} {{base}}
+ *
+ * A section wrapped in {{#name}}...{{/name}} is dropped when `name` is empty,
+ * so a template can carry headings for optional parts.
+ */
+
+import { readFileSync } from 'fs';
+import { isAbsolute, resolve } from 'path';
+import { getSettings } from './config.js';
+import { getWorktreeRoot } from './git.js';
+import { relatedFilePath } from './related-files.js';
+
+export const DEFAULT_PR_TEMPLATE = `{{description}}
+
+{{#todos}}
+## Checklist
+
+{{todos}}
+
+{{/todos}}
+{{#plan}}
+<details>
+<summary>Implementation plan</summary>
+
+{{plan}}
+
+</details>
+
+{{/plan}}
+{{#commits}}
+## Commits
+
+{{commits}}
+
+{{/commits}}
+{{#files}}
+## Related files
+
+{{files}}
+
+{{/files}}
+---
+Lightsprint task: {{title}} (\`{{id}}\`)
+`;
+
+/**
+ * Load the PR template: a --template path, else the `prTemplate` setting
+ * (relative paths are from the worktree root), else the default.
+ * @param {string | null} [path] - From --template
+ * @param {string} [cwd]
+ * @returns {string}
+ * @throws {Error} When the template file can't be read
+ */
+export function loadPrTemplate(path, cwd = process.cwd()) {
+	const configured = getSettings(cwd).prTemplate;
+	const file = path
+		? resolve(cwd, path)
+		: typeof configured === 'string' && configured
+			? (isAbsolute(configured) ? configured : resolve(getWorktreeRoot(cwd) || cwd, configured))
+			: null;
+	if (!file) return DEFAULT_PR_TEMPLATE;
+	try {
+		return readFileSync(file, 'utf-8');
+	} catch (err) {
+		throw new Error(`Cannot read PR template ${file}: ${err.message}`);
+	}
+}
+
+/**
+ * The placeholder values for a task.
+ * @param {object} task - Task as returned by the API
+ * @param {{ status?: string | null, plan?: string | null, changes?: { branch: string | null, base: string, commits: Array<{ shortSha: string, subject: string }> } | null }} [extra]
+ * @returns {Object<string, string>}
+ */
+export function prBodyFields(task, { status, plan, changes } = {}) {
+	const todoList = task.todoList || [];
+	return {
+		title: task.title || '',
+		id: task.id || '',
+		number: task.number != null ? String(task.number) : '',
+		status: status || '',
+		assignee: task.assignee || '',
+		complexity: task.complexity && task.complexity !== 'unknown' ? task.complexity : '',
+		description: (task.description || '').trim(),
+		todos: todoList.map(item => `- [${item.completed ? 'x' : ' '}] ${item.text}`).join('\n'),
+		files: (task.relatedFiles || []).map(f => `- \`${relatedFilePath(f)}\``).join('\n'),
+		plan: (plan || '').trim(),
+		commits: (changes?.commits || []).map(c => `- ${c.shortSha} ${c.subject}`).join('\n'),
+		branch: changes?.branch || '',
+		base: changes?.base || ''
+	};
+}
+
+/**
+ * Render a template: drop empty {{#name}} sections and lines holding only an
+ * empty placeholder, squeeze the blank lines left behind, then fill in the
+ * placeholders (values are inserted as they are).
+ * @param {string} template
+ * @param {Object<string, string>} fields
+ * @returns {string}
+ */
+export function renderPrBody(template, fields) {
+	const value = name => fields[name] ?? '';
+	return template
+		.replace(/\r\n/g, '\n')
+		.replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (_, name, section) => (value(name) ? section : ''))
+		.replace(/^\{\{(\w+)\}\}\n/gm, (line, name) => (value(name) ? line : ''))
+		.replace(/\n{3,}/g, '\n\n')
+		.replace(/\{\{(\w+)\}\}/g, (_, name) => value(name))
+		.trim() + '\n';
+}
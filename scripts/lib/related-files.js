@@ -0,0 +1,156 @@
+/**
+ * Related files: record the files Claude edits as the task's relatedFiles.
+ *
+ * Edits are queued per task in ~/.lightsprint/pending-files.json and
+ * flushed to the server in one PATCH, either when the oldest queued path is
+ * FLUSH_AFTER_MS old or when Claude finishes its turn (the Stop hook):
+ *
+ *   { <taskId>: { folder, paths: [<repo-relative path>], queuedAt } }
+ *
+ * Uses atomic writes (write tmp + rename) for safety.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+import { apiRequest } from './client.js';
+
+const PENDING_FILE = join(homedir(), '.lightsprint', 'pending-files.json');
+
+export const FLUSH_AFTER_MS = 60 * 1000;
+
+function readPending() {
+	try {
+		if (existsSync(PENDING_FILE)) {
+			return JSON.parse(readFileSync(PENDING_FILE, 'utf-8'));
+		}
+	} catch {
+		// Corrupted file, start fresh
+	}
+	return {};
+}
+
+function writePending(data) {
+	const dir = dirname(PENDING_FILE);
+	if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	const tmp = PENDING_FILE + '.' + randomBytes(4).toString('hex');
+	writeFileSync(tmp, JSON.stringify(data, null, 2));
+	renameSync(tmp, PENDING_FILE);
+}
+
+/**
+ * Path of a relatedFiles item, which the server returns as a string or { path }.
+ * @param {string | { path: string }} item
+ * @returns {string}
+ */
+export function relatedFilePath(item) {
+	return typeof item === 'string' ? item : item?.path;
+}
+
+/**
+ * Add paths to a relatedFiles list, skipping ones already present.
+ * New items take the shape of the existing ones.
+ * @param {Array<string | object>} relatedFiles
+ * @param {string[]} paths
+ * @returns {{ relatedFiles: Array<string | object>, added: string[] }}
+ */
+export function mergeRelatedFiles(relatedFiles = [], paths = []) {
+	const known = new Set(relatedFiles.map(relatedFilePath));
+	const asObjects = relatedFiles.length > 0 && typeof relatedFiles[0] === 'object';
+	const added = [];
+	for (const path of paths) {
+		if (known.has(path)) continue;
+		known.add(path);
+		added.push(path);
+	}
+	return {
+		relatedFiles: [...relatedFiles, ...added.map(path => asObjects ? { path } : path)],
+		added
+	};
+}
+
+/**
+ * Queue edited paths for a task.
+ * @param {string} taskId
+ * @param {string[]} paths - Repo-relative paths
+ * @param {{ folder?: string }} [context]
+ * @returns {{ paths: string[], queuedAt: string }} The task's pending entry
+ */
+export function queueFiles(taskId, paths, { folder } = {}) {
+	const pending = readPending();
+	const entry = pending[taskId] ??= { folder: folder || null, paths: [], queuedAt: new Date().toISOString() };
+	for (const path of paths) {
+		if (!entry.paths.includes(path)) entry.paths.push(path);
+	}
+	writePending(pending);
+	return entry;
+}
+
+/**
+ * Whether a pending entry has waited long enough to be flushed.
+ * @param {{ queuedAt: string }} entry
+ * @returns {boolean}
+ */
+export function isFlushDue(entry) {
+	return Date.now() - new Date(entry.queuedAt).getTime() >= FLUSH_AFTER_MS;
+}
+
+/**
+ * List task IDs with queued paths.
+ * @param {{ folder?: string }} [filter] - Only entries queued from this folder
+ * @returns {string[]}
+ */
+export function pendingTaskIds({ folder } = {}) {
+	return Object.entries(readPending())
+		.filter(([, entry]) => !folder || entry.folder === folder)
+		.map(([taskId]) => taskId);
+}
+
+/**
+ * PATCH a task's queued paths into its relatedFiles and clear them.
+ * Paths are taken off the queue first, so concurrent flushes don't send
+ * them twice, and put back if the request fails. A failed PATCH that the
+ * outbox kept, or a task that no longer exists, drops them.
+ * @param {string} taskId
+ * @returns {Promise<string[]>} Paths newly added to the task
+ */
+export async function flushFiles(taskId) {
+	const pending = readPending();
+	const entry = pending[taskId];
+	if (!entry) return [];
+	delete pending[taskId];
+	writePending(pending);
+
+	try {
+		const data = await apiRequest(`/api/tasks/${taskId}`);
+		if (!data?.task) return [];
+
+		const { relatedFiles, added } = mergeRelatedFiles(data.task.relatedFiles, entry.paths);
+		if (added.length === 0) return [];
+
+		await apiRequest(`/api/tasks/${taskId}`, {
+			method: 'PATCH',
+			body: JSON.stringify({ relatedFiles })
+		});
+		return added;
+	} catch (err) {
+		if (!err.queued && err.status !== 404) requeue(taskId, entry);
+		throw err;
+	}
+}
+
+/**
+ * Put a flushed entry back on the queue, merged with paths queued since.
+ * @param {string} taskId
+ * @param {{ folder: string | null, paths: string[], queuedAt: string }} entry
+ */
+function requeue(taskId, entry) {
+	const pending = readPending();
+	const current = pending[taskId];
+	pending[taskId] = {
+		...entry,
+		paths: [...new Set([...entry.paths, ...(current?.paths || [])])]
+	};
+	writePending(pending);
+}
@@ -0,0 +1,88 @@
+/**
+ * Branch summaries for `lightsprint review`: the commits on the current
+ * branch since it forked from the base branch, and their diffstat.
+ */
+
+import { git, getCurrentBranch } from './git.js';
+
+// Commits listed in a review comment; the diffstat covers all of them
+const MAX_COMMITS = 50;
+
+/**
+ * Guess the branch work is merged into: origin's default branch, else the
+ * first of main / master that exists (locally or on origin).
+ * @param {string} [cwd]
+ * @returns {string | null}
+ */
+export function defaultBaseBranch(cwd) {
+	const originHead = git(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD'], cwd);
+	if (originHead) return originHead;
+	for (const ref of ['main', 'master', 'origin/main', 'origin/master']) {
+		if (git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd)) return ref;
+	}
+	return null;
+}
+
+/**
+ * Summarize the current branch against a base.
+ * @param {{ base?: string, cwd?: string }} [options] - base defaults to defaultBaseBranch()
+ * @returns {{ branch: string | null, base: string, mergeBase: string, commits: Array<{ sha: string, shortSha: string, subject: string }>, diffstat: string }}
+ * @throws {Error} Outside a repository, or when the base can't be found
+ */
+export function branchChanges({ base, cwd } = {}) {
+	if (!git(['rev-parse', '--verify', '--quiet', 'HEAD'], cwd)) {
+		throw new Error('Not in a git repository with commits.');
+	}
+	const target = base || defaultBaseBranch(cwd);
+	if (!target) {
+		throw new Error('Cannot tell which branch this one is based on. Pass --base <branch>.');
+	}
+	if (!git(['rev-parse', '--verify', '--quiet', `${target}^{commit}`], cwd)) {
+		throw new Error(`Base branch "${target}" not found.`);
+	}
+	const mergeBase = git(['merge-base', target, 'HEAD'], cwd);
+	if (!mergeBase) {
+		throw new Error(`No common history with "${target}". Check --base.`);
+	}
+
+	const log = git(['log', '--no-merges', '--format=%H%x00%h%x00%s', `${mergeBase}..HEAD`], cwd) || '';
+	const commits = log.split('\n').filter(Boolean).map(line => {
+		const [sha, shortSha, subject] = line.split('\0');
+		return { sha, shortSha, subject };
+	});
+	return {
+		branch: getCurrentBranch(cwd),
+		base: target,
+		mergeBase,
+		commits,
+		diffstat: git(['diff', '--stat', mergeBase, 'HEAD', '--'], cwd) || ''
+	};
+}
+
+/**
+ * Render the comment `review` posts to a task.
+ * @param {ReturnType<typeof branchChanges>} changes
+ * @param {{ repo?: string | null }} [context] - GitHub owner/name, to link commits
+ * @returns {string}
+ */
+export function formatReviewComment({ branch, base, commits, diffstat }, { repo } = {}) {
+	const where = branch ? ` on \`${branch}\`` : '';
+	const lines = [`**Ready for review**${where} — ${commits.length} commit(s) since \`${base}\``];
+
+	if (commits.length > 0) {
+		lines.push('');
+		for (const commit of commits.slice(0, MAX_COMMITS)) {
+			const ref = repo
+				? `[\`${commit.shortSha}\`](https://github.com/${repo}/commit/${commit.sha})`
+				: `\`${commit.shortSha}\``;
+			lines.push(`- ${ref} ${commit.subject}`);
+		}
+		if (commits.length > MAX_COMMITS) {
+			lines.push(`- …and ${commits.length - MAX_COMMITS} more`);
+		}
+	}
+	if (diffstat) {
+		lines.push('', '```', diffstat, '```');
+	}
+	return lines.join('\n');
+}
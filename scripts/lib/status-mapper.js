@@ -1,22 +1,176 @@
 /**
- * Maps Lightsprint project statuses to Claude Code task statuses.
+ * Maps between Lightsprint board columns and Claude Code task statuses.
  *
  * Claude Code: pending → in_progress → completed (+ deleted)
  * Lightsprint: todo → in_progress → in_review → done
+ *
+ * The defaults can be extended per project via the `statusMapping` setting
+ * (~/.lightsprint/config.json, its projects[<projectId>] entry, or the repo's
+ * .lightsprint.json):
+ *
+ *   "statusMapping": {
+ *     "columns": {
+ *       "qa":      { "name": "QA", "projectStatus": "in_review", "cc": "in_progress" },
+ *       "blocked": { "name": "Blocked", "projectStatus": "todo", "cc": "pending" }
+ *     },
+ *     "ccToLs": { "completed": "in_review" }
+ *   }
+ *
+ * Each column key is what `--status` accepts. `projectStatus` is the
+ * underlying Lightsprint status and `cc` the Claude Code status it maps to.
  */
 
-const LS_TO_CC = {
-	'todo': 'pending',
+import { getSettings } from './config.js';
+
+const PROJECT_STATUSES = ['todo', 'in_progress', 'in_review', 'done'];
+const CC_STATUSES = ['pending', 'in_progress', 'completed'];
+
+const DEFAULT_COLUMNS = {
+	'todo': { name: 'Todo', projectStatus: 'todo', cc: 'pending' },
+	'in_progress': { name: 'In Progress', projectStatus: 'in_progress', cc: 'in_progress' },
+	'in_review': { name: 'In Review', projectStatus: 'in_review', cc: 'in_progress' },
+	'done': { name: 'Done', projectStatus: 'done', cc: 'completed' }
+};
+
+const DEFAULT_CC_TO_LS = {
+	'pending': 'todo',
 	'in_progress': 'in_progress',
-	'in_review': 'in_progress',
-	'done': 'completed'
+	'completed': 'done'
 };
 
+function normalize(value) {
+	return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Load the effective status map for a folder.
+ * @param {string} [cwd]
+ * @returns {{ columns: Record<string, { key: string, name: string, projectStatus: string, cc: string, custom: boolean }>, ccToLs: Record<string, string> }}
+ */
+export function loadStatusMap(cwd) {
+	const { statusMapping = {} } = getSettings(cwd);
+
+	const columns = {};
+	for (const [key, column] of Object.entries(DEFAULT_COLUMNS)) {
+		columns[key] = { key, ...column, custom: false };
+	}
+
+	for (const [rawKey, override] of Object.entries(statusMapping.columns || {})) {
+		const key = normalize(rawKey);
+		if (override === null || override === false) {
+			delete columns[key];
+			continue;
+		}
+		const base = columns[key] || { key, name: rawKey, projectStatus: 'in_progress', cc: 'in_progress', custom: true };
+		const column = typeof override === 'string' ? { ...base, name: override } : { ...base, ...override, key };
+		if (!PROJECT_STATUSES.includes(column.projectStatus)) {
+			throw new Error(`Invalid statusMapping for "${key}": projectStatus must be one of ${PROJECT_STATUSES.join(', ')}`);
+		}
+		if (!CC_STATUSES.includes(column.cc)) {
+			throw new Error(`Invalid statusMapping for "${key}": cc must be one of ${CC_STATUSES.join(', ')}`);
+		}
+		// Renaming a default column makes it a custom board column
+		column.custom = column.custom || column.name !== DEFAULT_COLUMNS[key]?.name;
+		columns[key] = column;
+	}
+
+	const ccToLs = { ...DEFAULT_CC_TO_LS };
+	for (const [ccStatus, target] of Object.entries(statusMapping.ccToLs || {})) {
+		const key = normalize(target);
+		if (!columns[key]) {
+			throw new Error(`Invalid statusMapping.ccToLs for "${ccStatus}": unknown status "${target}"`);
+		}
+		ccToLs[ccStatus] = key;
+	}
+
+	return { columns, ccToLs };
+}
+
+/**
+ * List the status keys accepted by `--status`, in board order.
+ * @param {object} [map]
+ * @returns {string[]}
+ */
+export function statusKeys(map = loadStatusMap()) {
+	return Object.keys(map.columns);
+}
+
 /**
- * Map a Lightsprint projectStatus to a Claude Code status.
+ * Resolve a user-supplied status (key or column name, any case) to its column.
+ * @param {string} input - e.g. "in_progress", "In Progress", "qa"
+ * @param {object} [map]
+ * @returns {{ key: string, name: string, projectStatus: string, cc: string, custom: boolean }}
+ * @throws {Error} for unknown statuses
+ */
+export function resolveStatus(input, map = loadStatusMap()) {
+	const wanted = normalize(input);
+	const column = map.columns[wanted]
+		|| Object.values(map.columns).find(c => normalize(c.name) === wanted);
+	if (!column) {
+		const err = new Error(`Unknown status "${input}". Valid statuses: ${statusKeys(map).join(', ')}`);
+		err.code = 'invalid_status';
+		throw err;
+	}
+	return column;
+}
+
+/**
+ * Get the board column name for a status (used for list filtering).
+ * @param {string} status
+ * @param {object} [map]
+ * @returns {string}
+ */
+export function statusToColumnName(status, map = loadStatusMap()) {
+	return resolveStatus(status, map).name;
+}
+
+/**
+ * Build the task PATCH/POST fields that move a task into a column.
+ * Custom columns also send their column name, since several columns can
+ * share one projectStatus.
+ * @param {{ projectStatus: string, name: string, custom: boolean }} column
+ * @returns {{ projectStatus: string, columnName?: string }}
+ */
+export function statusPatch(column) {
+	const patch = { projectStatus: column.projectStatus };
+	if (column.custom) patch.columnName = column.name;
+	return patch;
+}
+
+/**
+ * Find the status key for a task, preferring its board column over its projectStatus.
+ * @param {{ projectStatus?: string, columnName?: string }} task
+ * @param {object} [map]
+ * @returns {string | undefined}
+ */
+export function taskStatusKey(task, map = loadStatusMap()) {
+	if (task.columnName) {
+		const byName = Object.values(map.columns).find(c => normalize(c.name) === normalize(task.columnName));
+		if (byName) return byName.key;
+	}
+	return task.projectStatus || undefined;
+}
+
+/**
+ * Map a Lightsprint status key (or projectStatus) to a Claude Code status.
  * @param {string} lsStatus
+ * @param {object} [map]
  * @returns {string | undefined}
  */
-export function lsToCcStatus(lsStatus) {
-	return LS_TO_CC[lsStatus];
+export function lsToCcStatus(lsStatus, map = loadStatusMap()) {
+	const column = map.columns[lsStatus]
+		|| Object.values(map.columns).find(c => c.projectStatus === lsStatus);
+	return column?.cc;
+}
+
+/**
+ * Map a Claude Code task status to a Lightsprint column.
+ * Returns undefined for statuses with no board equivalent (e.g. deleted).
+ * @param {string} ccStatus
+ * @param {object} [map]
+ * @returns {{ key: string, name: string, projectStatus: string, cc: string, custom: boolean } | undefined}
+ */
+export function ccToLsStatus(ccStatus, map = loadStatusMap()) {
+	const key = map.ccToLs[ccStatus];
+	return key ? map.columns[key] : undefined;
 }
@@ -0,0 +1,255 @@
+/**
+ * Task files: markdown with YAML front matter describing a task, read by
+ * `create --from-file` and `import`.
+ *
+ *   ---
+ *   id: abc123               # written back once the task exists
+ *   title: Fix the login redirect
+ *   status: todo
+ *   complexity: low
+ *   assignee: Alice
+ *   todos:
+ *     - Reproduce the loop
+ *     - "[x] Add a failing test"
+ *   ---
+ *   Users loop on /login after their session expires...
+ *
+ * The body becomes the description. Without a `title`, the body's first
+ * `# Heading` is the title and is left out of the description.
+ *
+ * Only the YAML these files need is supported: `key: value` scalars (plain,
+ * "double" or 'single' quoted), inline `[a, b]` lists, block lists of
+ * `- item`, and `#` comments.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { resolveStatus } from './status-mapper.js';
+import { todoKey } from './todos.js';
+import { COMPLEXITIES } from './tasks.js';
+
+const FENCE = /^---\s*$/;
+const KEY_LINE = /^([A-Za-z][\w-]*):(?:\s+(.*))?$/;
+const LIST_ITEM = /^\s*-\s+(.*)$/;
+const TODO_MARK = /^\[([ xX])\]\s+/;
+
+/**
+ * Parse one scalar value: strip a trailing comment and unquote.
+ * @param {string} raw
+ * @returns {string}
+ */
+function parseScalar(raw) {
+	const value = raw.trim();
+	if (value.startsWith('"')) {
+		return JSON.parse(value.slice(0, value.lastIndexOf('"') + 1));
+	}
+	if (value.startsWith("'")) {
+		return value.slice(1, value.lastIndexOf("'")).replace(/''/g, "'");
+	}
+	return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Split an inline list (`[a, "b, c"]`) into its items.
+ * @param {string} raw - Including the brackets
+ * @returns {string[]}
+ */
+function parseInlineList(raw) {
+	const items = [];
+	let current = '';
+	let quote = null;
+	for (const char of raw.trim().slice(1, -1)) {
+		if (quote) {
+			if (char === quote) quote = null;
+		} else if (char === '"' || char === "'") {
+			quote = char;
+		} else if (char === ',') {
+			items.push(current);
+			current = '';
+			continue;
+		}
+		current += char;
+	}
+	items.push(current);
+	return items.map(parseScalar).filter(Boolean);
+}
+
+/**
+ * Split a file into its front matter and body.
+ * @param {string} text
+ * @returns {{ data: object, body: string, hasFrontMatter: boolean }}
+ * @throws {Error} On front matter lines outside the supported subset
+ */
+export function parseFrontMatter(text) {
+	const lines = text.split(/\r?\n/);
+	if (!FENCE.test(lines[0] || '')) {
+		return { data: {}, body: text, hasFrontMatter: false };
+	}
+	const end = lines.findIndex((line, i) => i > 0 && FENCE.test(line));
+	if (end === -1) {
+		throw new Error('Front matter is not closed with ---');
+	}
+
+	const data = {};
+	let listKey = null;
+	for (let i = 1; i < end; i++) {
+		const line = lines[i];
+		if (!line.trim() || line.trim().startsWith('#')) continue;
+
+		const item = line.match(LIST_ITEM);
+		if (item && listKey) {
+			data[listKey].push(parseScalar(item[1]));
+			continue;
+		}
+		const entry = line.match(KEY_LINE);
+		if (!entry) {
+			throw new Error(`Unsupported front matter on line ${i + 1}: ${line.trim()}`);
+		}
+		const [, key, raw = ''] = entry;
+		listKey = null;
+		if (!raw.trim() || raw.trim().startsWith('#')) {
+			// A block list follows (or the value is empty)
+			data[key] = [];
+			listKey = key;
+		} else if (raw.trim().startsWith('[')) {
+			data[key] = parseInlineList(raw);
+		} else {
+			data[key] = parseScalar(raw);
+		}
+	}
+
+	return { data, body: lines.slice(end + 1).join('\n'), hasFrontMatter: true };
+}
+
+/**
+ * Parse a `todos` entry: `[x] text` is a completed item.
+ * @param {string} entry
+ * @returns {{ text: string, completed: boolean }}
+ */
+function parseTodo(entry) {
+	const mark = entry.match(TODO_MARK);
+	return {
+		text: (mark ? entry.slice(mark[0].length) : entry).trim(),
+		completed: Boolean(mark && mark[1] !== ' ')
+	};
+}
+
+function scalarField(data, key) {
+	const value = data[key];
+	if (Array.isArray(value)) {
+		if (value.length > 0) throw new Error(`"${key}" must be a single value`);
+		return undefined;
+	}
+	return value || undefined;
+}
+
+/**
+ * Read and validate a task file.
+ * @param {string} path
+ * @returns {{ path: string, text: string, id: string | null, fields: { title?: string, description?: string, status?: string, complexity?: string, assignee?: string, todoList?: Array<{ text: string, completed: boolean }> } }}
+ *   `status` is a status key; fields the file doesn't set are undefined.
+ * @throws {Error} Prefixed with the path when the file can't be used
+ */
+export function readTaskFile(path) {
+	try {
+		const text = readFileSync(path, 'utf-8');
+		const { data, body } = parseFrontMatter(text);
+
+		let title = scalarField(data, 'title');
+		let description = body.trim();
+		if (!title) {
+			const heading = description.match(/^#\s+(.+)$/m);
+			if (heading) {
+				title = heading[1].trim();
+				description = description.replace(heading[0], '').trim();
+			}
+		}
+		if (!title) {
+			throw new Error('No title: add "title:" to the front matter or a "# Heading"');
+		}
+
+		const fields = { title, description: description || undefined };
+		const status = scalarField(data, 'status');
+		if (status) fields.status = resolveStatus(status).key;
+		const complexity = scalarField(data, 'complexity');
+		if (complexity) {
+			fields.complexity = COMPLEXITIES.find(c => c === complexity.toLowerCase());
+			if (!fields.complexity) {
+				throw new Error(`Invalid complexity "${complexity}". Expected one of: ${COMPLEXITIES.join(', ')}`);
+			}
+		}
+		fields.assignee = scalarField(data, 'assignee');
+		if (data.todos !== undefined) {
+			const todos = Array.isArray(data.todos) ? data.todos : [data.todos];
+			fields.todoList = todos.map(parseTodo).filter(item => item.text);
+		}
+
+		return { path, text, id: scalarField(data, 'id') || null, fields };
+	} catch (err) {
+		err.message = `${path}: ${err.message}`;
+		throw err;
+	}
+}
+
+/**
+ * Record the task ID in a task file's front matter, adding front matter if
+ * the file has none. The rest of the file is left untouched.
+ * @param {string} path
+ * @param {string} text - Current file contents
+ * @param {string} id
+ */
+export function writeTaskId(path, text, id) {
+	const eol = text.includes('\r\n') ? '\r\n' : '\n';
+	const lines = text.split(/\r?\n/);
+	const { hasFrontMatter } = parseFrontMatter(text);
+
+	if (!hasFrontMatter) {
+		writeFileSync(path, ['---', `id: ${id}`, '---', ...lines].join(eol));
+		return;
+	}
+	const end = lines.findIndex((line, i) => i > 0 && FENCE.test(line));
+	const existing = lines.findIndex((line, i) => i > 0 && i < end && /^id:/.test(line));
+	if (existing !== -1) {
+		lines[existing] = `id: ${id}`;
+	} else {
+		lines.splice(1, 0, `id: ${id}`);
+	}
+	writeFileSync(path, lines.join(eol));
+}
+
+/**
+ * Expand import targets: files as given, directories to their `.md` files
+ * (not recursive), sorted by name.
+ * @param {string[]} targets
+ * @returns {string[]}
+ */
+export function listTaskFiles(targets) {
+	const files = [];
+	for (const target of targets) {
+		if (statSync(target).isDirectory()) {
+			const names = readdirSync(target).filter(name => name.endsWith('.md') && !name.startsWith('.')).sort();
+			files.push(...names.map(name => join(target, name)));
+		} else {
+			files.push(target);
+		}
+	}
+	return [...new Set(files)];
+}
+
+/**
+ * Apply a task file's todos to a task's current todo list without losing
+ * work done on the board: missing items are appended and items checked in
+ * the file are checked, but nothing is unchecked or removed.
+ * @param {Array<{ text: string, completed: boolean }>} existing
+ * @param {Array<{ text: string, completed: boolean }>} fileTodos
+ * @returns {Array<object>}
+ */
+export function mergeFileTodos(existing = [], fileTodos = []) {
+	const merged = existing.map(item => ({ ...item }));
+	for (const todo of fileTodos) {
+		const match = merged.find(item => todoKey(item.text) === todoKey(todo.text));
+		if (!match) merged.push({ ...todo });
+		else if (todo.completed) match.completed = true;
+	}
+	return merged;
+}
@@ -2,6 +2,18 @@
  * Task ID mapping: Claude Code task IDs ↔ Lightsprint task IDs.
  * Stored in ~/.lightsprint/task-map.json.
  * Uses atomic writes (write tmp + rename) for safety.
+ *
+ * Claude Code task IDs are only unique within a session, so entries are
+ * keyed by Lightsprint project ID, then session ID, then CC task ID:
+ *
+ *   { version: 2, projects: { <projectId>: { <sessionId>: { <ccTaskId>: { lsTaskId, folder, createdAt, updatedAt } } } } }
+ *
+ * Links from the legacy flat format have no project or session, so they
+ * are kept under `_unscoped`. Project-wide lookups include them, a lookup by
+ * CC task ID falls back to them, and the first link stored for that CC task
+ * ID in a project takes their place.
+ *
+ * Entries older than DEFAULT_MAX_AGE_DAYS are pruned on every write.
  */
 
 import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
@@ -10,6 +22,11 @@ import { homedir } from 'os';
 import { randomBytes } from 'crypto';
 
 const MAP_FILE = join(homedir(), '.lightsprint', 'task-map.json');
+const MAP_VERSION = 2;
+const UNSCOPED = '_unscoped';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_MAX_AGE_DAYS = 30;
 
 function ensureDir() {
 	const dir = dirname(MAP_FILE);
@@ -18,15 +35,33 @@ function ensureDir() {
 	}
 }
 
+/**
+ * Migrate the legacy flat format ({ ccTaskId: lsTaskId }) into the unscoped bucket.
+ */
+function migrate(data) {
+	const now = new Date().toISOString();
+	const sessions = {};
+	for (const [ccTaskId, lsTaskId] of Object.entries(data)) {
+		if (typeof lsTaskId !== 'string') continue;
+		sessions[ccTaskId] = { lsTaskId, createdAt: now, updatedAt: now };
+	}
+	return {
+		version: MAP_VERSION,
+		projects: Object.keys(sessions).length ? { [UNSCOPED]: { [UNSCOPED]: sessions } } : {}
+	};
+}
+
 function readMap() {
 	try {
 		if (existsSync(MAP_FILE)) {
-			return JSON.parse(readFileSync(MAP_FILE, 'utf-8'));
+			const data = JSON.parse(readFileSync(MAP_FILE, 'utf-8'));
+			if (data.version === MAP_VERSION && data.projects) return data;
+			return migrate(data);
 		}
 	} catch {
 		// Corrupted file, start fresh
 	}
-	return {};
+	return { version: MAP_VERSION, projects: {} };
 }
 
 function writeMap(map) {
@@ -36,13 +71,152 @@ function writeMap(map) {
 	renameSync(tmp, MAP_FILE);
 }
 
+/**
+ * Whether an entry falls in a scope. Legacy entries belong to every project,
+ * but to no particular session.
+ */
+function inScope(entry, { projectId, sessionId } = {}) {
+	if (sessionId && entry.sessionId !== sessionId) return false;
+	return !projectId || entry.projectId === projectId || (!sessionId && entry.projectId === UNSCOPED);
+}
+
+/**
+ * Flatten the nested map into entry objects, optionally filtered by scope.
+ * @returns {Array<{ ccTaskId: string, lsTaskId: string, projectId: string, sessionId: string, folder?: string, createdAt: string, updatedAt: string }>}
+ */
+function entries(map, scope = {}) {
+	const result = [];
+	for (const [pid, sessions] of Object.entries(map.projects)) {
+		for (const [sid, tasks] of Object.entries(sessions)) {
+			for (const [ccTaskId, entry] of Object.entries(tasks)) {
+				const flat = { ccTaskId, projectId: pid, sessionId: sid, ...entry };
+				if (inScope(flat, scope)) result.push(flat);
+			}
+		}
+	}
+	return result.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Remove entries matching a predicate, dropping empty sessions/projects.
+ * @returns {number} Number of entries removed
+ */
+function removeWhere(map, predicate) {
+	let removed = 0;
+	for (const [pid, sessions] of Object.entries(map.projects)) {
+		for (const [sid, tasks] of Object.entries(sessions)) {
+			for (const [ccTaskId, entry] of Object.entries(tasks)) {
+				if (predicate({ ccTaskId, projectId: pid, sessionId: sid, ...entry })) {
+					delete tasks[ccTaskId];
+					removed++;
+				}
+			}
+			if (Object.keys(tasks).length === 0) delete sessions[sid];
+		}
+		if (Object.keys(sessions).length === 0) delete map.projects[pid];
+	}
+	return removed;
+}
+
+function olderThan(maxAgeDays) {
+	const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS).toISOString();
+	return entry => (entry.updatedAt || '') < cutoff;
+}
+
 /**
  * Store a mapping from CC task ID to LS task ID.
  * @param {string} ccTaskId
  * @param {string} lsTaskId
+ * @param {{ projectId?: string, sessionId?: string, folder?: string }} [scope]
  */
-export function setMapping(ccTaskId, lsTaskId) {
+export function setMapping(ccTaskId, lsTaskId, { projectId, sessionId, folder } = {}) {
 	const map = readMap();
-	map[ccTaskId] = lsTaskId;
+	removeWhere(map, olderThan(DEFAULT_MAX_AGE_DAYS));
+
+	// A scoped link replaces the legacy one for the same CC task ID
+	const legacy = projectId ? map.projects[UNSCOPED]?.[UNSCOPED]?.[ccTaskId] : undefined;
+	if (legacy) removeWhere(map, e => e.projectId === UNSCOPED && e.sessionId === UNSCOPED && e.ccTaskId === String(ccTaskId));
+
+	const sessions = map.projects[projectId || UNSCOPED] ??= {};
+	const tasks = sessions[sessionId || UNSCOPED] ??= {};
+	const previous = tasks[ccTaskId] || legacy;
+	const now = new Date().toISOString();
+	tasks[ccTaskId] = {
+		lsTaskId,
+		...(folder ? { folder } : {}),
+		createdAt: previous?.lsTaskId === lsTaskId ? previous.createdAt : now,
+		updatedAt: now
+	};
 	writeMap(map);
 }
+
+/**
+ * Look up the link for a CC task ID, falling back to a legacy link.
+ * With a partial scope, the most recently updated match wins.
+ * @param {string} ccTaskId
+ * @param {{ projectId?: string, sessionId?: string }} [scope]
+ * @returns {{ ccTaskId: string, lsTaskId: string, projectId: string, sessionId: string, folder?: string, createdAt: string, updatedAt: string } | undefined}
+ */
+export function getByCcId(ccTaskId, scope = {}) {
+	const map = readMap();
+	const matches = e => e.ccTaskId === String(ccTaskId);
+	return entries(map, scope).find(matches)
+		|| entries(map, { projectId: UNSCOPED, sessionId: UNSCOPED }).find(matches);
+}
+
+/**
+ * Find every CC task linked to an LS task ID (reverse lookup).
+ * @param {string} lsTaskId
+ * @param {{ projectId?: string, sessionId?: string }} [scope]
+ * @returns {Array<object>} Entries, most recently updated first
+ */
+export function getByLsId(lsTaskId, scope = {}) {
+	return entries(readMap(), scope).filter(e => e.lsTaskId === lsTaskId);
+}
+
+/**
+ * List mappings, most recently updated first.
+ * @param {{ projectId?: string, sessionId?: string }} [scope]
+ * @returns {Array<object>}
+ */
+export function listMappings(scope = {}) {
+	return entries(readMap(), scope);
+}
+
+/**
+ * Remove the link for a CC task ID within a scope.
+ * @param {string} ccTaskId
+ * @param {{ projectId?: string, sessionId?: string }} [scope]
+ * @returns {number} Number of entries removed
+ */
+export function removeMapping(ccTaskId, { projectId, sessionId } = {}) {
+	const map = readMap();
+	const removed = removeWhere(map, e => e.ccTaskId === String(ccTaskId) && inScope(e, { projectId, sessionId }));
+	if (removed) writeMap(map);
+	return removed;
+}
+
+/**
+ * Remove every link to an LS task ID.
+ * @param {string} lsTaskId
+ * @param {{ projectId?: string }} [scope]
+ * @returns {number} Number of entries removed
+ */
+export function removeByLsId(lsTaskId, { projectId } = {}) {
+	const map = readMap();
+	const removed = removeWhere(map, e => e.lsTaskId === lsTaskId && inScope(e, { projectId }));
+	if (removed) writeMap(map);
+	return removed;
+}
+
+/**
+ * Remove links not updated in the last `maxAgeDays` days.
+ * @param {number} [maxAgeDays=DEFAULT_MAX_AGE_DAYS]
+ * @returns {number} Number of entries removed
+ */
+export function pruneMappings(maxAgeDays = DEFAULT_MAX_AGE_DAYS) {
+	const map = readMap();
+	const removed = removeWhere(map, olderThan(maxAgeDays));
+	if (removed) writeMap(map);
+	return removed;
+}
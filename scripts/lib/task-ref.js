@@ -0,0 +1,123 @@
+/**
+ * Task references: what commands accept wherever a task ID is expected.
+ *
+ *   abc123def456   Full task ID
+ *   abc1           Unique ID prefix (like a git SHA)
+ *   #42            Task number, on boards that number their tasks
+ *   ~"login bug"   Title match (fuzzy); an exact title wins a tie
+ *   @current       The folder's active task
+ *
+ * A full ID costs one request. Prefixes, numbers and titles walk the board,
+ * and a reference matching several tasks fails with the candidates listed.
+ */
+
+import { apiRequest } from './client.js';
+import { getActiveTask } from './active-task.js';
+import { listTasks } from './tasks.js';
+import { fuzzyScore } from './picker.js';
+import { loadStatusMap, taskStatusKey } from './status-mapper.js';
+import { cliError } from './output.js';
+
+// Candidates listed in an ambiguity error
+const MAX_CANDIDATES = 10;
+
+function ambiguous(ref, tasks, hint, statusMap) {
+	const candidates = tasks.map(task => ({
+		id: task.id,
+		number: task.number ?? null,
+		title: task.title,
+		status: taskStatusKey(task, statusMap)
+	}));
+	const lines = candidates.slice(0, MAX_CANDIDATES).map(c =>
+		`  ${c.id}  ${c.number != null ? `#${c.number} ` : ''}${c.title}${c.status ? ` (${c.status})` : ''}`
+	);
+	if (candidates.length > MAX_CANDIDATES) {
+		lines.push(`  …and ${candidates.length - MAX_CANDIDATES} more`);
+	}
+	const err = cliError('ambiguous_task', `"${ref}" matches ${candidates.length} tasks:\n${lines.join('\n')}\n${hint}`);
+	err.candidates = candidates;
+	return err;
+}
+
+function unique(ref, matches, hint, statusMap) {
+	if (matches.length === 0) {
+		throw cliError('not_found', `No task matches "${ref}".`);
+	}
+	if (matches.length > 1) {
+		throw ambiguous(ref, matches, hint, statusMap);
+	}
+	return matches[0].id;
+}
+
+async function boardTasks(statusMap) {
+	const { tasks } = await listTasks({ all: true, statusMap });
+	return tasks;
+}
+
+function byNumber(ref, tasks, statusMap) {
+	const number = ref.match(/^#(\d+)$/)?.[1];
+	if (!number) {
+		throw cliError('usage', `Invalid task number "${ref}". Expected #<number>, e.g. #42.`);
+	}
+	if (!tasks.some(task => task.number != null)) {
+		throw cliError('usage', 'This board does not number its tasks. Use an ID prefix or ~"title words" instead.');
+	}
+	return unique(ref, tasks.filter(task => String(task.number) === number), 'Use the task ID instead.', statusMap);
+}
+
+function byTitle(ref, tasks, statusMap) {
+	const query = ref.slice(1).trim().replace(/^(["'])(.*)\1$/, '$2').trim();
+	if (!query) {
+		throw cliError('usage', 'Empty title match. Expected ~"title words".');
+	}
+
+	const scored = tasks
+		.map(task => ({ task, score: fuzzyScore(query, task.title || '') }))
+		.filter(m => m.score !== null)
+		.sort((a, b) => b.score - a.score);
+	const matches = scored.map(m => m.task);
+	if (matches.length > 1) {
+		const exact = matches.filter(task => (task.title || '').trim().toLowerCase() === query.toLowerCase());
+		if (exact.length === 1) return exact[0].id;
+		// Every word as written beats letters scattered through the title
+		const words = query.toLowerCase().split(/\s+/);
+		const literal = matches.filter(task => words.every(word => (task.title || '').toLowerCase().includes(word)));
+		if (literal.length === 1) return literal[0].id;
+	}
+	return unique(ref, matches, 'Add more words, or use the task ID.', statusMap);
+}
+
+/**
+ * Resolve a task reference to a task ID.
+ * @param {string} ref - ID, ID prefix, #number, ~title or @current
+ * @param {{ statusMap?: object }} [options]
+ * @returns {Promise<string>}
+ * @throws {Error} `not_found` when nothing matches, `ambiguous_task` (with
+ *   `candidates`) when several tasks do, `no_active_task` for @current
+ */
+export async function resolveTaskRef(ref, { statusMap = loadStatusMap() } = {}) {
+	if (ref === '@current') {
+		const active = getActiveTask();
+		if (!active) {
+			throw cliError('no_active_task', 'No active task for this folder. Claim one with: lightsprint claim <taskId>');
+		}
+		return active.taskId;
+	}
+	if (ref.startsWith('#')) return byNumber(ref, await boardTasks(statusMap), statusMap);
+	if (ref.startsWith('~')) return byTitle(ref, await boardTasks(statusMap), statusMap);
+
+	try {
+		const data = await apiRequest(`/api/tasks/${encodeURIComponent(ref)}`);
+		if (data.task) return data.task.id;
+	} catch (err) {
+		// Offline: pass the reference on so writes can still be queued
+		if (err.status !== 404) {
+			if (err.status) throw err;
+			return ref;
+		}
+	}
+
+	const lower = ref.toLowerCase();
+	const matches = (await boardTasks(statusMap)).filter(task => String(task.id).toLowerCase().startsWith(lower));
+	return unique(ref, matches, 'Use a longer prefix.', statusMap);
+}
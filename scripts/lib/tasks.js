@@ -0,0 +1,175 @@
+/**
+ * Task listing: fetch tasks from the project board with pagination and
+ * filter/sort them.
+ *
+ * The tasks endpoint filters by one column (`columnName`) and pages with
+ * `cursor`/`pagination.nextCursor`. Everything else — several statuses,
+ * assignee, complexity, search, since — is filtered here, walking pages
+ * until enough tasks match.
+ */
+
+import { apiRequest, getProjectId, getProjectInfo } from './client.js';
+import { loadStatusMap, taskStatusKey } from './status-mapper.js';
+import { cliError } from './output.js';
+
+export const COMPLEXITIES = ['trivial', 'low', 'medium', 'high', 'critical'];
+export const SORT_FIELDS = ['updated', 'created', 'complexity'];
+
+const PAGE_SIZE = 50;
+// Safety stop for boards far larger than anything a terminal can show
+const MAX_PAGES = 100;
+
+/**
+ * Fetch one page of a column (or the whole board).
+ * @param {string} projectId
+ * @param {{ columnName?: string, cursor?: string, limit: number }} query
+ * @returns {Promise<{ tasks: object[], totalCount: number | null, nextCursor: string | null }>}
+ */
+export async function fetchTaskPage(projectId, { columnName, cursor, limit }) {
+	const params = new URLSearchParams();
+	if (columnName) params.set('columnName', columnName);
+	if (cursor) params.set('cursor', cursor);
+	params.set('limit', String(limit));
+
+	const data = await apiRequest(`/api/projects/${projectId}/tasks?${params}`);
+	return {
+		tasks: data.tasks || [],
+		totalCount: data.totalCount ?? null,
+		nextCursor: data.pagination?.hasMore ? (data.pagination.nextCursor ?? null) : null
+	};
+}
+
+/**
+ * Resolve `me` to the name of the authenticated user.
+ * @param {string} assignee
+ * @returns {Promise<string>}
+ */
+export async function resolveAssignee(assignee) {
+	if (assignee.toLowerCase() !== 'me') return assignee;
+	const info = await getProjectInfo();
+	const name = info.user?.name || info.user?.email;
+	if (!name) {
+		throw new Error("Cannot resolve 'me': the API did not report the current user.");
+	}
+	return name;
+}
+
+/**
+ * Build a predicate for the client-side filters.
+ * @param {{ statuses?: string[], assignee?: string, complexities?: string[], search?: string, since?: Date }} filters
+ * @param {object} statusMap
+ * @returns {(task: object) => boolean}
+ */
+export function taskFilter({ statuses, assignee, complexities, search, since }, statusMap) {
+	const needle = search?.toLowerCase();
+	return task => {
+		if (statuses?.length && !statuses.includes(taskStatusKey(task, statusMap))) return false;
+		if (assignee && String(task.assignee || '').toLowerCase() !== assignee.toLowerCase()) return false;
+		if (complexities?.length && !complexities.includes(task.complexity)) return false;
+		if (needle && !`${task.title}\n${task.description || ''}`.toLowerCase().includes(needle)) return false;
+		if (since && !(new Date(task.updatedAt || task.createdAt || 0) >= since)) return false;
+		return true;
+	};
+}
+
+/**
+ * Sort tasks in place, newest / most complex first.
+ * @param {object[]} tasks
+ * @param {'updated' | 'created' | 'complexity'} field
+ * @returns {object[]}
+ */
+export function sortTasks(tasks, field) {
+	const time = value => new Date(value || 0).getTime();
+	const compare = {
+		updated: (a, b) => time(b.updatedAt) - time(a.updatedAt),
+		created: (a, b) => time(b.createdAt) - time(a.createdAt),
+		complexity: (a, b) => COMPLEXITIES.indexOf(b.complexity) - COMPLEXITIES.indexOf(a.complexity)
+	}[field];
+	return compare ? tasks.sort(compare) : tasks;
+}
+
+/**
+ * List tasks matching filters.
+ *
+ * Without `all`, pages are walked until `limit` tasks match. Sorting and
+ * several statuses need the whole (filtered) list, so they walk every page
+ * before `limit` is applied. `cursor` fetches exactly one page of a single
+ * column, for scripted paging.
+ *
+ * @param {object} query
+ * @param {string[]} [query.statuses] - Status keys
+ * @param {string} [query.assignee] - Name, or 'me'
+ * @param {string[]} [query.complexities]
+ * @param {string} [query.search] - Case-insensitive match on title and description
+ * @param {Date} [query.since] - Updated at or after
+ * @param {'updated' | 'created' | 'complexity'} [query.sort]
+ * @param {number} [query.limit]
+ * @param {boolean} [query.all] - Return every match
+ * @param {string} [query.cursor] - Fetch the page starting here
+ * @param {object} [query.statusMap]
+ * @returns {Promise<{ tasks: object[], totalCount: number | null, hasMore: boolean, nextCursor: string | null }>}
+ */
+export async function listTasks(query = {}) {
+	const statusMap = query.statusMap || loadStatusMap();
+	const projectId = await getProjectId();
+	const statuses = query.statuses || [];
+	const assignee = query.assignee ? await resolveAssignee(query.assignee) : undefined;
+	const matches = taskFilter({ ...query, assignee }, statusMap);
+
+	// One request per column when filtering by status, else the whole board
+	const columns = statuses.length
+		? statuses.map(key => statusMap.columns[key].name)
+		: [undefined];
+
+	if (query.cursor) {
+		if (columns.length > 1) {
+			throw cliError('usage', '--page works with a single --status.');
+		}
+		const page = await fetchTaskPage(projectId, { columnName: columns[0], cursor: query.cursor, limit: query.limit || PAGE_SIZE });
+		const tasks = sortTasks(page.tasks.filter(matches), query.sort);
+		return { tasks, totalCount: page.totalCount, hasMore: Boolean(page.nextCursor), nextCursor: page.nextCursor };
+	}
+
+	const walkAll = query.all || Boolean(query.sort) || columns.length > 1;
+	const limit = query.all ? Infinity : (query.limit || 20);
+	const filtered = Boolean(assignee || query.complexities?.length || query.search || query.since);
+
+	const tasks = [];
+	let totalCount = 0;
+	let hasMore = false;
+	let nextCursor = null;
+	for (const columnName of columns) {
+		let cursor;
+		let pages = 0;
+		do {
+			const page = await fetchTaskPage(projectId, {
+				columnName,
+				cursor,
+				// Unfiltered single-column listings only need `limit` tasks
+				limit: walkAll || filtered ? PAGE_SIZE : Math.min(limit - tasks.length, PAGE_SIZE)
+			});
+			tasks.push(...page.tasks.filter(matches));
+			totalCount += pages === 0 ? (page.totalCount ?? 0) : 0;
+			cursor = page.nextCursor;
+			pages++;
+		} while (cursor && pages < MAX_PAGES && (walkAll || tasks.length < limit));
+
+		if (cursor) {
+			hasMore = true;
+			nextCursor = columns.length === 1 ? cursor : null;
+		}
+	}
+
+	sortTasks(tasks, query.sort);
+	if (tasks.length > limit) {
+		hasMore = true;
+		// The cursor no longer lines up with the cut
+		nextCursor = null;
+	}
+	return {
+		tasks: tasks.slice(0, limit),
+		totalCount: filtered ? null : totalCount,
+		hasMore,
+		nextCursor
+	};
+}
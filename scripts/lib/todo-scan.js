@@ -0,0 +1,185 @@
+/**
+ * Scan git-tracked source files for TODO / FIXME / HACK comments and keep
+ * track of the ones already imported as tasks.
+ *
+ * A marker is identified by a content hash of its path, marker word, text
+ * and occurrence (the nth identical comment in the file), so moving it to
+ * another line keeps its identity and repeated scans don't create
+ * duplicates. Imported markers are stored per project in
+ * ~/.lightsprint/todo-scan.json:
+ *
+ *   { <projectId>: { <hash>: { taskId, path, line, marker, text, importedAt } } }
+ *
+ * Uses atomic writes (write tmp + rename) for safety.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, statSync } from 'fs';
+import { join, dirname, relative, resolve } from 'path';
+import { homedir } from 'os';
+import { createHash, randomBytes } from 'crypto';
+import { gitOrThrow } from './git.js';
+
+const SCAN_FILE = join(homedir(), '.lightsprint', 'todo-scan.json');
+
+export const MARKERS = ['TODO', 'FIXME', 'HACK'];
+
+const CONTEXT_LINES = 2;
+// Generated bundles and data files are not worth reading
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_TITLE_CHARS = 120;
+// The marker must follow a comment leader: //, #, /*, *, <!--, --, ;, %
+const COMMENT_LEADER = String.raw`(?:\/\/+|#+|\/\*+|\*|<!--|--|;+|%+)`;
+
+function readStore() {
+	try {
+		if (existsSync(SCAN_FILE)) {
+			return JSON.parse(readFileSync(SCAN_FILE, 'utf-8'));
+		}
+	} catch {
+		// Corrupted file, start fresh
+	}
+	return {};
+}
+
+function writeStore(data) {
+	const dir = dirname(SCAN_FILE);
+	if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	const tmp = SCAN_FILE + '.' + randomBytes(4).toString('hex');
+	writeFileSync(tmp, JSON.stringify(data, null, 2));
+	renameSync(tmp, SCAN_FILE);
+}
+
+/**
+ * Find markers in one file's contents.
+ * @param {string} content
+ * @param {string} path - Repo-relative path
+ * @param {string[]} [markers]
+ * @returns {Array<{ hash: string, path: string, line: number, marker: string, text: string, context: string }>}
+ */
+export function findMarkers(content, path, markers = MARKERS) {
+	const pattern = new RegExp(`${COMMENT_LEADER}\\s*(${markers.join('|')})\\b(?:\\([^)]*\\))?:?\\s*(.*)$`);
+	const lines = content.split(/\r?\n/);
+	const seen = new Map();
+	const found = [];
+
+	for (const [index, line] of lines.entries()) {
+		const match = line.match(pattern);
+		if (!match) continue;
+		const marker = match[1];
+		const text = match[2].replace(/\s*(\*\/|-->)\s*$/, '').trim();
+
+		// Identical comments in one file are told apart by occurrence
+		const key = `${marker}\n${text.replace(/\s+/g, ' ').toLowerCase()}`;
+		const occurrence = (seen.get(key) || 0) + 1;
+		seen.set(key, occurrence);
+
+		const from = Math.max(0, index - CONTEXT_LINES);
+		found.push({
+			hash: createHash('sha256').update(`${path}\n${key}\n${occurrence}`).digest('hex').slice(0, 16),
+			path,
+			line: index + 1,
+			marker,
+			text,
+			context: lines.slice(from, index + CONTEXT_LINES + 1).join('\n')
+		});
+	}
+	return found;
+}
+
+/**
+ * Scan the git-tracked files under `paths` for markers.
+ * @param {string} root - Worktree root
+ * @param {string[]} paths - Paths relative to cwd (all tracked files when empty)
+ * @param {{ cwd?: string, markers?: string[] }} [options]
+ * @returns {{ files: number, markers: object[], scopes: string[] }}
+ *   `scopes` are the scanned paths, repo-relative ('' for the whole repo).
+ */
+export function scanMarkers(root, paths, { cwd = process.cwd(), markers = MARKERS } = {}) {
+	const output = gitOrThrow(['ls-files', '-z', '--full-name', '--', ...paths], cwd);
+	const files = output.split('\0').filter(Boolean);
+
+	const found = [];
+	for (const path of files) {
+		const fullPath = join(root, path);
+		try {
+			if (statSync(fullPath).size > MAX_FILE_BYTES) continue;
+			const content = readFileSync(fullPath, 'utf-8');
+			if (content.includes('\0')) continue; // binary
+			found.push(...findMarkers(content, path, markers));
+		} catch {
+			// Deleted but not yet staged, or unreadable
+		}
+	}
+
+	const scopes = paths.length === 0
+		? ['']
+		: paths.map(p => relative(root, resolve(cwd, p)).split('\\').join('/'));
+	return { files: files.length, markers: found, scopes };
+}
+
+/**
+ * Whether a repo-relative path lies inside one of the scanned scopes.
+ * @param {string} path
+ * @param {string[]} scopes
+ * @returns {boolean}
+ */
+export function inScope(path, scopes) {
+	return scopes.some(scope => !scope || path === scope || path.startsWith(scope + '/'));
+}
+
+/**
+ * The task to create for a marker.
+ * @param {{ path: string, line: number, marker: string, text: string, context: string }} found
+ * @returns {{ title: string, description: string, relatedFiles: string[] }}
+ */
+export function markerTask(found) {
+	const text = found.text || `${found.marker} in ${found.path}`;
+	const title = text.length > MAX_TITLE_CHARS ? text.slice(0, MAX_TITLE_CHARS - 1) + '…' : text;
+	return {
+		title,
+		description: [
+			`\`${found.marker}\` comment in \`${found.path}:${found.line}\`, imported by \`lightsprint scan-todos\`:`,
+			'',
+			'```',
+			found.context,
+			'```'
+		].join('\n'),
+		relatedFiles: [found.path]
+	};
+}
+
+/**
+ * Imported markers for a project.
+ * @param {string} projectId
+ * @returns {Object<string, { taskId: string, path: string, line: number, marker: string, text: string, importedAt: string }>}
+ */
+export function importedMarkers(projectId) {
+	return readStore()[projectId] || {};
+}
+
+/**
+ * Record markers as imported (or update their location).
+ * @param {string} projectId
+ * @param {Array<{ hash: string, taskId: string, path: string, line: number, marker: string, text: string }>} entries
+ */
+export function recordMarkers(projectId, entries) {
+	if (entries.length === 0) return;
+	const store = readStore();
+	const project = store[projectId] ??= {};
+	for (const { hash, taskId, path, line, marker, text } of entries) {
+		project[hash] = { taskId, path, line, marker, text, importedAt: project[hash]?.importedAt || new Date().toISOString() };
+	}
+	writeStore(store);
+}
+
+/**
+ * Forget imported markers.
+ * @param {string} projectId
+ * @param {string[]} hashes
+ */
+export function forgetMarkers(projectId, hashes) {
+	if (hashes.length === 0) return;
+	const store = readStore();
+	for (const hash of hashes) delete store[projectId]?.[hash];
+	writeStore(store);
+}
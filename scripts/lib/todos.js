@@ -0,0 +1,101 @@
+/**
+ * Todo list helpers: match Claude Code todo items to Lightsprint task
+ * todo items and merge them.
+ *
+ * Lightsprint stores a task's checklist as `todoList: [{ text, completed }]`.
+ * Items are matched by text, ignoring case, whitespace and a trailing period.
+ */
+
+import { cliError } from './output.js';
+
+/**
+ * Normalize todo text for matching.
+ * @param {string} text
+ * @returns {string}
+ */
+export function todoKey(text) {
+	return String(text || '').trim().replace(/\s+/g, ' ').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * Merge Claude Code todos into a Lightsprint todo list.
+ *
+ * Matching items take the Claude Code completion state; new items are
+ * appended in Claude Code order. Items that only exist in Lightsprint
+ * (e.g. added by a PM on the board) are kept as they are.
+ *
+ * @param {Array<{ text: string, completed: boolean }>} todoList - Current Lightsprint items
+ * @param {Array<{ content: string, status: string }>} ccTodos - TodoWrite items
+ * @returns {{ todoList: Array<object>, added: number, updated: number }}
+ */
+export function mergeTodos(todoList = [], ccTodos = []) {
+	const merged = todoList.map(item => ({ ...item }));
+	const byKey = new Map();
+	for (const item of merged) {
+		const key = todoKey(item.text);
+		if (key && !byKey.has(key)) byKey.set(key, item);
+	}
+
+	let added = 0;
+	let updated = 0;
+	for (const todo of ccTodos) {
+		const key = todoKey(todo?.content);
+		if (!key) continue;
+		const completed = todo.status === 'completed';
+		const existing = byKey.get(key);
+		if (existing) {
+			if (Boolean(existing.completed) !== completed) {
+				existing.completed = completed;
+				updated++;
+			}
+		} else {
+			const item = { text: todo.content.trim(), completed };
+			merged.push(item);
+			byKey.set(key, item);
+			added++;
+		}
+	}
+
+	return { todoList: merged, added, updated };
+}
+
+/**
+ * Find todo items by 1-based position or by text.
+ *
+ * `ref` is one or more positions (`2`, `1,3` or `1 3`), or text: the item
+ * whose normalized text equals it, else the only item containing it.
+ *
+ * @param {Array<{ text: string }>} todoList
+ * @param {string} ref
+ * @returns {number[]} 0-based indexes, in list order for positions
+ * @throws {Error} code 'not_found' when nothing matches, 'usage' when the text matches several items
+ */
+export function findTodoItems(todoList, ref) {
+	const trimmed = String(ref).trim();
+	if (/^\d+([\s,]+\d+)*$/.test(trimmed)) {
+		const indexes = trimmed.split(/[\s,]+/).map(n => {
+			const index = Number(n) - 1;
+			if (index < 0 || index >= todoList.length) {
+				throw cliError('not_found', `No todo item #${n}; the list has ${todoList.length} item(s).`);
+			}
+			return index;
+		});
+		return [...new Set(indexes)];
+	}
+
+	const key = todoKey(trimmed);
+	const exact = todoList.findIndex(item => todoKey(item.text) === key);
+	if (exact !== -1) return [exact];
+
+	const partial = todoList
+		.map((item, index) => (todoKey(item.text).includes(key) ? index : -1))
+		.filter(index => index !== -1);
+	if (partial.length === 0) {
+		throw cliError('not_found', `No todo item matches "${trimmed}".`);
+	}
+	if (partial.length > 1) {
+		const positions = partial.map(index => `#${index + 1}`).join(', ');
+		throw cliError('usage', `"${trimmed}" matches ${partial.length} todo items (${positions}). Use a position or more of the text.`);
+	}
+	return partial;
+}
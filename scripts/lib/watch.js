@@ -0,0 +1,102 @@
+/**
+ * Board snapshots and change events for `lightsprint watch`.
+ *
+ * Each poll reduces the whole board to a small state and compares it with
+ * the previous one, so a task entering or leaving the watched set (--status,
+ * --mine) is reported as moved or reassigned, not created. Comments are only
+ * tracked for watched tasks. The last state is kept in
+ * ~/.lightsprint/watch.json, per project and filter, so `watch --once`
+ * (e.g. from cron) reports what changed since its last run:
+ *
+ *   { <projectId>:<filter>: { version, takenAt, tasks: { <taskId>: { title, status, assignee, watched, commentIds? } } } }
+ *
+ * Uses atomic writes (write tmp + rename) for safety.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+
+const WATCH_FILE = join(homedir(), '.lightsprint', 'watch.json');
+
+export const EVENT_TYPES = ['created', 'moved', 'reassigned', 'commented'];
+
+// Snapshots of older versions (watched tasks only) are recorded afresh
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * @typedef {{ title: string, status: string | null, assignee: string | null, watched: boolean, commentIds?: string[] }} TaskState
+ *   commentIds is only set for watched tasks
+ * @typedef {{ type: string, taskId: string, title: string, from?: string | null, to?: string | null, commentId?: string }} WatchEvent
+ */
+
+function readSnapshots() {
+	try {
+		if (existsSync(WATCH_FILE)) {
+			return JSON.parse(readFileSync(WATCH_FILE, 'utf-8'));
+		}
+	} catch {
+		// Corrupted file, start fresh
+	}
+	return {};
+}
+
+/**
+ * The stored state for a watch key, or null before the first poll.
+ * @param {string} key - `<projectId>:<filter>`
+ * @returns {{ takenAt: string, tasks: Object<string, TaskState> } | null}
+ */
+export function readSnapshot(key) {
+	const snapshot = readSnapshots()[key];
+	return snapshot?.version === SNAPSHOT_VERSION ? snapshot : null;
+}
+
+/**
+ * Store the state for a watch key.
+ * @param {string} key
+ * @param {Object<string, TaskState>} tasks
+ */
+export function writeSnapshot(key, tasks) {
+	const snapshots = readSnapshots();
+	snapshots[key] = { version: SNAPSHOT_VERSION, takenAt: new Date().toISOString(), tasks };
+	const dir = dirname(WATCH_FILE);
+	if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	const tmp = WATCH_FILE + '.' + randomBytes(4).toString('hex');
+	writeFileSync(tmp, JSON.stringify(snapshots, null, 2));
+	renameSync(tmp, WATCH_FILE);
+}
+
+/**
+ * Compare two board states and list what happened to watched tasks (watched
+ * now or before), in task order. Tasks missing from `current` produce no
+ * events; comments are compared only while a task stays watched.
+ * @param {Object<string, TaskState>} previous
+ * @param {Object<string, TaskState>} current
+ * @returns {WatchEvent[]}
+ */
+export function diffStates(previous, current) {
+	const events = [];
+	for (const [taskId, task] of Object.entries(current)) {
+		const before = previous[taskId];
+		if (!task.watched && !before?.watched) continue;
+		const base = { taskId, title: task.title };
+		if (!before) {
+			events.push({ type: 'created', ...base, to: task.status });
+			continue;
+		}
+		if (before.status !== task.status) {
+			events.push({ type: 'moved', ...base, from: before.status, to: task.status });
+		}
+		if ((before.assignee || null) !== (task.assignee || null)) {
+			events.push({ type: 'reassigned', ...base, from: before.assignee || null, to: task.assignee || null });
+		}
+		if (before.commentIds && task.commentIds) {
+			const known = new Set(before.commentIds);
+			for (const commentId of task.commentIds) {
+				if (!known.has(commentId)) events.push({ type: 'commented', ...base, commentId });
+			}
+		}
+	}
+	return events;
+}
@@ -4,12 +4,36 @@
  *
  * Subcommands:
  *   review-plan [input]    Plan review hook handler (invoked by Claude Code hooks)
+ *   sync-task [input]      Task sync hook handler (invoked by Claude Code hooks)
+ *   sync-todos [input]     Todo list sync hook handler (invoked by Claude Code hooks)
+ *   track-files [input]    Related files hook handler (invoked by Claude Code hooks)
+ *   session-start [input]  Active task context hook handler (invoked by Claude Code hooks)
+ *   session-summary [input] Session summary hook handler (invoked by Claude Code hooks)
+ *   git-hook <name> [args]  Git hook handler (invoked by hooks from git-hooks install)
  *   tasks [options]         List tasks from the project board
+ *   board [options]         Show the board as columns
+ *   export [options]        Export the board as Markdown, CSV or JSON
+ *   watch [options]         Stream task change events
  *   create <title> [opts]   Create a new task
- *   update <taskId> [opts]  Update an existing task
- *   get <taskId>            Show full task details
- *   claim <taskId>          Claim a task (set to in_progress)
- *   comment <taskId> <body> Add a comment to a task
+ *   import <dir|file>       Create or update tasks from markdown files
+ *   update [taskId] [opts]  Update an existing task
+ *   get [taskId]            Show full task details
+ *   claim [taskId]          Claim a task (set to in_progress)
+ *   current                 Show the active task
+ *   release                 Move the active task back to todo
+ *   switch <taskId>         Make another task the active one
+ *   review [taskId]         Move a task to in_review with a branch summary
+ *   done [taskId]           Move a task to done and clear it
+ *   pr-body [taskId]        Render a pull request description from a task
+ *   comment <taskId> [body] Add, reply to, edit or delete a comment
+ *   comments <taskId>       List a task's comments
+ *   files <taskId>          Show and prune a task's related files
+ *   todo <taskId> [sub]     Manage a task's todo list
+ *   scan-todos [paths]      Create tasks from TODO/FIXME/HACK comments
+ *   map [subcommand]        Inspect and repair CC↔LS task links
+ *   sync [options]          Replay writes queued in the offline outbox
+ *   git-hooks [subcommand]  Install git hooks that link commits to tasks
+ *   link-commit <sha> <id>  Post a commit to a task
  *   status                  Show connection status
  *   whoami                  Show project/auth info
  *   connect [--base-url]    Authenticate and connect
@@ -19,27 +43,65 @@
  */
 
 import { reviewPlanMain } from './review-plan.js';
+import { syncTaskMain } from './sync-task.js';
+import { syncTodosMain } from './sync-todos.js';
+import { trackFilesMain } from './track-files.js';
+import { sessionStartMain } from './session-start.js';
+import { sessionSummaryMain } from './session-summary.js';
+import { gitHookMain } from './git-hook.js';
 import { cliMain } from './ls-cli.js';
+import { extractOutputFlag, exitWithError } from './lib/output.js';
+import { wantsHelp, formatHelp } from './lib/args.js';
 
 // Injected at build time via --define
 const BUILD_VERSION = typeof __BUILD_VERSION__ !== 'undefined' ? __BUILD_VERSION__ : 'dev';
 const BUILD_HASH = typeof __BUILD_HASH__ !== 'undefined' ? __BUILD_HASH__ : 'dev';
 const BUILD_TIME = typeof __BUILD_TIME__ !== 'undefined' ? __BUILD_TIME__ : 'unknown';
 
-const subcommand = process.argv[2];
-const args = process.argv.slice(3);
+// --json may appear anywhere before a `--`
+const [subcommand, ...args] = extractOutputFlag(process.argv.slice(2));
 
-if (subcommand === 'review-plan') {
+// Hook handlers read their payload from stdin; `--help` must not wait for it
+const HOOK_INPUT = { name: 'input', summary: 'Hook payload file (default: stdin)' };
+const HOOK_ARGS = {
+	'review-plan': { summary: 'Review an implementation plan (PermissionRequest hook for ExitPlanMode)' },
+	'sync-task': { summary: 'Sync a linked Claude Code task to Lightsprint (PostToolUse hook for TaskCreate/TaskUpdate)' },
+	'sync-todos': { summary: "Mirror Claude's todo list into the session's task (PostToolUse hook for TodoWrite)" },
+	'track-files': {
+		summary: "Record edited files as the session task's related files (PostToolUse hook for Edit/Write/MultiEdit)",
+		options: { flush: { type: 'boolean', summary: 'Send all queued files for this folder (Stop hook)' } }
+	},
+	'session-start': { summary: 'Print the active task as session context (SessionStart hook)' },
+	'session-summary': { summary: 'Comment a summary of the session on its task (SessionEnd hook)' },
+	'git-hook': {
+		summary: 'Run a git hook installed by git-hooks install',
+		positionals: [{ name: 'hook', required: true }, { name: 'args', variadic: true }]
+	}
+};
+
+if (HOOK_ARGS[subcommand] && wantsHelp(args)) {
+	const spec = HOOK_ARGS[subcommand];
+	console.log(formatHelp({ positionals: [HOOK_INPUT], ...spec, name: subcommand }));
+} else if (subcommand === 'review-plan') {
 	reviewPlanMain(args);
+} else if (subcommand === 'sync-task') {
+	syncTaskMain(args);
+} else if (subcommand === 'sync-todos') {
+	syncTodosMain(args);
+} else if (subcommand === 'track-files') {
+	trackFilesMain(args);
+} else if (subcommand === 'session-start') {
+	sessionStartMain(args);
+} else if (subcommand === 'session-summary') {
+	sessionSummaryMain(args);
+} else if (subcommand === 'git-hook') {
+	gitHookMain(args);
 } else if (!subcommand || subcommand === 'help' || subcommand === '--help' || subcommand === '-h') {
 	showHelp();
 } else if (subcommand === '--version' || subcommand === '-v') {
 	console.log(`lightsprint v${BUILD_VERSION} (${BUILD_HASH})`);
 } else {
-	cliMain(subcommand, args, { version: BUILD_VERSION }).catch(err => {
-		console.error(`Error: ${err.message}`);
-		process.exit(1);
-	});
+	cliMain(subcommand, args, { version: BUILD_VERSION }).catch(exitWithError);
 }
 
 function showHelp() {
@@ -52,12 +114,35 @@ Usage:
 
 Commands:
   review-plan [input]     Review an implementation plan (Claude Code hook)
+  sync-task [input]       Sync a Claude Code task to Lightsprint (Claude Code hook)
+  sync-todos [input]      Mirror Claude's todo list to the active task (Claude Code hook)
+  track-files [input]     Record edited files on the active task (Claude Code hook)
+  session-start [input]   Inject the active task into a new session (Claude Code hook)
+  session-summary [input] Post a session summary to the active task (Claude Code hook)
   tasks [options]         List tasks from the project board
-  create <title> [opts]   Create a new task
-  update <taskId> [opts]  Update an existing task
-  get <taskId>            Show full task details
-  claim <taskId>          Claim a task (set to in_progress)
-  comment <taskId> <body> Add a comment to a task
+  board [options]         Show the board as columns in the terminal
+  export [options]        Export the board as Markdown, CSV or JSON
+  watch [options]         Poll the board and print (or --exec on) task change events
+  create <title> [opts]   Create a new task (--from-file to read a markdown file)
+  import <dir|file>       Create or update tasks from markdown files with front matter
+  update [taskId] [opts]  Update an existing task
+  get [taskId]            Show full task details
+  claim [taskId]          Claim a task (set to in_progress, --branch to check out its branch)
+  current                 Show the active task for this folder
+  release                 Move the active task back to todo and clear it
+  switch <taskId>         Claim another task and make it the active one
+  review [taskId]         Move a task to in_review and comment its branch, commits and diffstat
+  done [taskId]           Move a task to done, clear it as active and drop its task links
+  pr-body [taskId]        Render a PR description from a task, its plan and commits (-o, --gh)
+  comment <taskId> [body] Add a comment (--reply-to, --edit, --delete, --file)
+  comments <taskId>       List a task's comments as threads
+  files <taskId> [opts]   Show and prune a task's related files
+  todo <taskId> [sub]     Add, check, uncheck, remove and reorder todo items
+  scan-todos [paths]      Create tasks from TODO/FIXME/HACK comments in tracked files
+  map [subcommand]        Inspect and repair Claude Code ↔ Lightsprint task links
+  sync [options]          Replay writes queued in the offline outbox
+  git-hooks [subcommand]  Install git hooks that link commits to the active task
+  link-commit <sha> <id>  Post a commit's SHA, subject and diffstat to a task
   status                  Show connection status for this folder
   whoami                  Show project/auth info
   connect [--base-url]    Authenticate and connect to Lightsprint
@@ -65,6 +150,10 @@ Commands:
   upgrade                 Upgrade to the latest version
 
 Flags:
+  --json                  Print JSON (tasks, board, export, get, create, import, update,
+                          claim, review, done, pr-body, comment, comments, files,
+                          todo, scan-todos, whoami, status; watch prints JSON lines);
+                          also enabled by LIGHTSPRINT_OUTPUT=json
   --help, -h              Show this help message
   --version, -v           Show version
 
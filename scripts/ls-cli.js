@@ -3,23 +3,64 @@
  * lightsprint — CLI for Lightsprint skills.
  *
  * Commands:
- *   tasks [--status todo|in_progress|in_review|done] [--limit N]
+ *   tasks [--status <s,...>] [--assignee <name>|--mine] [--complexity <l,...>] [--search <text>] [--since <date>] [--sort <field>] [--limit N] [--page <cursor>|--all]
+ *   board [--mine|--assignee <name>] [--limit N] [--layout auto|columns|stacked]
+ *   export [--format md|csv|json] [--status <s,...>] [--assignee <name>] [--comments] [-o <file>]
+ *   watch [--status <s,...>] [--mine|--assignee <name>] [--events <e,...>] [--interval <s>] [--once] [--exec <cmd>]
  *   create <title> [--description <text>] [--complexity <level>] [--status <status>]
- *   update <taskId> [--title <text>] [--description <text>] [--status <status>] [--complexity <level>] [--assignee <name>]
- *   get <taskId>
- *   claim <taskId>
- *   comment <taskId> <body>
+ *   create --from-file <path> [options]
+ *   import <dir|file>... [--dry-run] [--update-status]
+ *   update [taskId] [--title <text>] [--description <text>] [--status <status>] [--complexity <level>] [--assignee <name>]
+ *   get [taskId]
+ *   claim [taskId] [--branch]
+ *   current
+ *   release
+ *   switch <taskId> [--release]
+ *   review [taskId] [--base <branch>] [--check-todos]
+ *   done [taskId]
+ *   pr-body [taskId] [--template <file>] [--base <branch>] [-o <file>] [--gh]
+ *   comment <taskId> [<body>|-] [--reply-to <commentId>] [--edit <commentId>] [--delete <commentId>] [--file <path>]
+ *   comments <taskId>
+ *   files <taskId> [--remove <path>] [--prune]
+ *   todo <taskId> [list|add|check|uncheck|remove|reorder] [...]
+ *   scan-todos [paths...] [--markers <m,...>] [--status <status>] [--dry-run] [--close-removed]
+ *   map [list|get|set|rm|prune] [...]
+ *   sync [--dry-run] [--force] [--drop <id>] [--clear] [--all]
+ *   git-hooks [install|uninstall|status] [--force]
+ *   link-commit <sha> <taskId>
  *   whoami
  */
 
 import { createHash } from 'crypto';
-import { mkdirSync, mkdtempSync, chmodSync, copyFileSync, unlinkSync, rmSync, writeFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { mkdirSync, mkdtempSync, chmodSync, copyFileSync, unlinkSync, rmSync, writeFileSync, readFileSync, renameSync, existsSync, statSync } from 'fs';
 import { homedir, tmpdir } from 'os';
 import { join } from 'path';
-import { apiRequest, getProjectId, getProjectInfo } from './lib/client.js';
-import { setMapping } from './lib/task-map.js';
-import { lsToCcStatus } from './lib/status-mapper.js';
-import { authenticate } from './lib/auth.js';
+import { createInterface } from 'readline/promises';
+import { apiRequest, getProjectId, getProjectInfo, setConfig } from './lib/client.js';
+import { setMapping, getByCcId, getByLsId, listMappings, removeMapping, removeByLsId, pruneMappings, DEFAULT_MAX_AGE_DAYS } from './lib/task-map.js';
+import { loadStatusMap, resolveStatus, statusKeys, statusPatch, taskStatusKey } from './lib/status-mapper.js';
+import { setActiveTask, getActiveTask, clearActiveTask } from './lib/active-task.js';
+import { checkoutTaskBranch } from './lib/branch.js';
+import { listOutbox, countOutbox, updateEntry, removeEntry } from './lib/outbox.js';
+import { getGitPath, getWorktreeRoot } from './lib/git.js';
+import { linkCommit } from './lib/commit-link.js';
+import { flushFiles, relatedFilePath } from './lib/related-files.js';
+import { branchChanges, formatReviewComment } from './lib/review.js';
+import { loadPrTemplate, prBodyFields, renderPrBody } from './lib/pr-body.js';
+import { getApprovedPlan } from './lib/plan-tracker.js';
+import { isJsonOutput, printJson, cliError, errorCode, taskJson, commentJson, todoItemJson, formatTime } from './lib/output.js';
+import { findTodoItems } from './lib/todos.js';
+import { resolveTaskRef } from './lib/task-ref.js';
+import { readTaskFile, writeTaskId, listTaskFiles, mergeFileTodos } from './lib/task-file.js';
+import { MARKERS, scanMarkers, inScope, markerTask, importedMarkers, recordMarkers, forgetMarkers } from './lib/todo-scan.js';
+import { parseArgs, formatHelp } from './lib/args.js';
+import { listTasks, resolveAssignee, taskFilter, COMPLEXITIES, SORT_FIELDS } from './lib/tasks.js';
+import { renderBoard } from './lib/board.js';
+import { pick, isInteractive } from './lib/picker.js';
+import { exportMarkdown, exportCsv, exportJson, EXPORT_FORMATS } from './lib/export.js';
+import { readSnapshot, writeSnapshot, diffStates, EVENT_TYPES } from './lib/watch.js';
+import { authenticate, getGitRepoFullName } from './lib/auth.js';
 import { getConfig, getDefaultBaseUrl, readProjectsFile, writeProjectsFile } from './lib/config.js';
 
 export async function cliMain(command, args, context = {}) {
@@ -28,22 +69,47 @@ export async function cliMain(command, args, context = {}) {
 		return showHelp();
 	}
 
+	const spec = COMMAND_ARGS[command];
+	if (!spec) {
+		throw cliError('usage', `Unknown command: ${command}\nUse 'lightsprint help' for usage information.`);
+	}
+
+	const parsed = parseArgs(args, spec);
+	if (parsed.help) {
+		console.log(formatHelp(spec));
+		return;
+	}
+
 	switch (command) {
-		case 'tasks': return await cmdTasks(args);
-		case 'create': return await cmdCreate(args);
-		case 'update': return await cmdUpdate(args);
-		case 'get': return await cmdGet(args);
-		case 'claim': return await cmdClaim(args);
-		case 'comment': return await cmdComment(args);
+		case 'tasks': return await cmdTasks(parsed);
+		case 'board': return await cmdBoard(parsed);
+		case 'export': return await cmdExport(parsed);
+		case 'watch': return await cmdWatch(parsed);
+		case 'create': return await cmdCreate(parsed);
+		case 'import': return await cmdImport(parsed);
+		case 'update': return await cmdUpdate(parsed);
+		case 'get': return await cmdGet(parsed);
+		case 'claim': return await cmdClaim(parsed);
+		case 'current': return await cmdCurrent();
+		case 'release': return await cmdRelease();
+		case 'switch': return await cmdSwitch(parsed);
+		case 'review': return await cmdReview(parsed);
+		case 'done': return await cmdDone(parsed);
+		case 'pr-body': return await cmdPrBody(parsed);
+		case 'comment': return await cmdComment(parsed);
+		case 'comments': return await cmdComments(parsed);
+		case 'files': return await cmdFiles(parsed);
+		case 'todo': return await cmdTodo(parsed);
+		case 'scan-todos': return await cmdScanTodos(parsed);
+		case 'map': return cmdMap(parsed);
+		case 'sync': return await cmdSync(parsed);
+		case 'git-hooks': return cmdGitHooks(parsed);
+		case 'link-commit': return await cmdLinkCommit(parsed);
 		case 'whoami': return await cmdWhoami();
 		case 'status': return cmdStatus();
-		case 'connect': return await cmdConnect(args);
-		case 'disconnect': return await cmdDisconnect(args);
+		case 'connect': return await cmdConnect(parsed);
+		case 'disconnect': return await cmdDisconnect();
 		case 'upgrade': return await cmdUpgrade(context.version || 'dev');
-		default:
-			console.error(`Unknown command: ${command}`);
-			console.error(`Use 'lightsprint help' for usage information.`);
-			process.exit(1);
 	}
 }
 
@@ -61,45 +127,243 @@ Commands:
   tasks [options]
     List tasks from the project board
     Options:
-      --status <status>   Filter by status: todo, in_progress, in_review, done
+      --status <s,...>    Filter by status: todo, in_progress, in_review, done,
+                          or any custom column from your status mapping
+      --assignee <name>   Filter by assignee ('me' for yourself)
+      --mine              Only tasks assigned to you
+      --complexity <l,..> Filter by complexity (trivial, low, medium, high, critical)
+      --search <text>     Match text in the title or description
+      --since <date>      Updated since a date or an age (7d, 12h, 2w)
+      --sort <field>      Sort by updated, created or complexity
       --limit <N>         Limit number of results (default: 20)
+      --page <cursor>     Fetch the next page (the cursor is printed when there are more)
+      --all               Fetch every matching task
+    Example:
+      lightsprint tasks --status todo,in_progress --mine --sort updated
+
+  board [options]
+    Show the board as columns in the terminal (stacked on narrow terminals),
+    with per-column counts; the active task is highlighted
+    Options:
+      --mine              Only tasks assigned to you
+      --assignee <name>   Only tasks assigned to someone
+      --limit <N>         Cards per column (default: 10)
+      --layout <layout>   auto, columns or stacked (default: auto)
+    Example:
+      lightsprint board --mine
+
+  export [options]
+    Export the board for sharing: Markdown grouped by column, CSV (one row per
+    task) or JSON, with descriptions, todo lists and related files
+    Options:
+      --format <format>   md, csv or json (default: from the -o extension, else md)
+      --status <s,...>    Only these columns
+      --assignee <name>   Only tasks assigned to someone ('me' for yourself)
+      --comments          Include comments (one extra request per task)
+      -o, --output <file> Write to a file instead of stdout
+    Example:
+      lightsprint export --status todo,in_progress -o board.md
+
+  watch [options]
+    Poll the board and print an event when a watched task is created, moved,
+    reassigned or commented on. The first poll records the board; the last
+    state is kept in ~/.lightsprint/watch.json
+    Options:
+      --status <s,...>    Only tasks in these columns
+      --mine              Only tasks assigned to you
+      --assignee <name>   Only tasks assigned to someone
+      --events <e,...>    Only these events (created, moved, reassigned, commented)
+      --interval <s>      Seconds between polls (default: 30, minimum: 5)
+      --once              Poll once, report changes since the last run and exit
+      --exec <command>    Run a shell command per event (event JSON on stdin;
+                          LS_EVENT, LS_TASK_ID, LS_TASK_TITLE, LS_FROM, LS_TO)
+    With --json, events are printed as JSON lines
     Example:
-      lightsprint tasks --status in_progress --limit 10
+      lightsprint watch --mine --exec 'notify-send "$LS_EVENT" "$LS_TASK_TITLE"'
 
   create <title> [options]
     Create a new task
     Options:
       --description <text>        Task description
       --complexity <level>        trivial, low, medium, high, or critical
-      --status <status>           todo, in_progress, in_review, or done (default: todo)
+      --status <status>           todo, in_progress, in_review, done, or a custom column (default: todo)
+      --from-file <path>          Read the task from a markdown file: front matter sets
+                                  title, status, complexity, assignee and todos, the body
+                                  is the description (the new ID is written back)
     Example:
       lightsprint create "Fix login bug" --description "Users can't log in" --complexity high
+      lightsprint create --from-file docs/tasks/login-bug.md
 
-  update <taskId> [options]
+  import <dir|file>... [--dry-run] [--update-status]
+    Create tasks from markdown files with front matter (a directory's *.md files).
+    Created task IDs are written back into the files, so re-running import
+    updates those tasks instead of creating duplicates
+    Options:
+      --dry-run                   Show what would be created or updated
+      --update-status             Also move existing tasks to the file's status
+    Example:
+      lightsprint import docs/tasks --dry-run
+
+  update [taskId] [options]
     Update an existing task
     Options:
       --title <text>              New task title
       --description <text>        New description
-      --status <status>           New status
+      --status <status>           New status (see 'Statuses' below)
       --complexity <level>        New complexity level
       --assignee <name>           Assign task to a team member
     Example:
       lightsprint update abc123 --status done --assignee "John"
 
-  get <taskId>
+  get [taskId]
     Show full details of a task including description, todo list, and related files
     Example:
       lightsprint get abc123
 
-  claim <taskId>
-    Claim a task and set its status to in_progress
+  claim [taskId] [--branch]
+    Claim a task, set its status to in_progress and make it the active task
+    Options:
+      --branch                    Create (or reuse) and check out the task branch
+                                  (pattern: branchPattern setting, default ls/{id}-{slug})
+    Example:
+      lightsprint claim abc123 --branch
+
+  current
+    Show the active (claimed) task for this folder. When none is claimed,
+    the task is inferred from the current branch name
+
+  release
+    Move the active task back to todo and clear it
+
+  switch <taskId> [--release]
+    Claim another task and make it the active one
+    Options:
+      --release               Also move the previous active task back to todo
+    Example:
+      lightsprint switch def456 --release
+
+  review [taskId] [options]
+    Move a task (default: the active task) to in_review and comment the current
+    branch, its commits since the merge-base and a diffstat. Offers to check off
+    the remaining todo items
+    Options:
+      --base <branch>             Branch to compare with (default: origin/HEAD,
+                                  else main or master)
+      --check-todos               Check off the remaining todo items without asking
+    Example:
+      lightsprint review --base develop
+
+  done [taskId]
+    Move a task (default: the active task) to done, clear it as the active task
+    and remove its Claude Code task links
     Example:
-      lightsprint claim abc123
+      lightsprint done
 
-  comment <taskId> <body>
-    Add a comment to a task
+  pr-body [taskId] [options]
+    Render a pull request description from a task (default: the active task):
+    description, todo list, related files, the approved plan and the commits
+    since the merge-base
+    Options:
+      --template <file>           Markdown template (default: prTemplate setting,
+                                  else built in)
+      --base <branch>             Branch to list commits since (default: origin/HEAD,
+                                  else main or master)
+      -o, --output <file>         Write to a file instead of stdout
+      --gh                        Print a gh pr create command with the task title
+                                  and this body
+    Example:
+      lightsprint pr-body -o pr.md --gh
+
+  comment <taskId> [<body>|-] [options]
+    Add a comment to a task, or reply to, edit or delete one. The body is the
+    remaining arguments, --file, or stdin when it is -
+    Options:
+      --reply-to <commentId>  Post the comment as a reply
+      --edit <commentId>      Replace the body of one of your comments
+      --delete <commentId>    Delete one of your comments
+      --file <path>           Read the body from a file ('-' for stdin)
     Example:
       lightsprint comment abc123 "This is now complete"
+      lightsprint comment @current --reply-to c42 --file notes.md
+
+  comments <taskId>
+    List the comments on a task with author and time; replies are indented
+    under the comment they answer
+    Example:
+      lightsprint comments @current
+
+  files <taskId> [options]
+    Show the task's related files (files edited while it was active are added
+    automatically)
+    Options:
+      --remove <path>         Remove a file from the list (repeatable)
+      --prune                 Remove files that no longer exist in this repo
+    Example:
+      lightsprint files @current --prune
+
+  todo <taskId> [list|add|check|uncheck|remove|reorder] [options]
+    Manage a task's todo list. Items are picked by position (2, or 1,3 for
+    several) or by text: the item with that text, else the only item containing it
+    Subcommands:
+      list                                 Show the todo list (default)
+      add <text> [--at <N>]                Add an item (at the end unless --at)
+      check <item>                         Mark items done
+      uncheck <item>                       Mark items not done
+      remove <item>                        Remove items
+      reorder <item> <position>            Move an item to a position
+    Example:
+      lightsprint todo @current check 2
+
+  scan-todos [paths...] [options]
+    Create tasks from TODO / FIXME / HACK comments in git-tracked files, with
+    the file as a related file and the surrounding lines in the description.
+    Imported comments are remembered by content hash, so scanning again skips
+    them; when one is gone, its task can be marked done
+    Options:
+      --markers <m,...>       Markers to look for (default: TODO,FIXME,HACK)
+      --status <status>       Status of created tasks (default: todo)
+      --dry-run               List new and removed comments without changing anything
+      --close-removed         Mark tasks done when their comment is gone, without asking
+    Example:
+      lightsprint scan-todos src --dry-run
+
+  map [list|get|set|rm|prune] [options]
+    Inspect and repair Claude Code ↔ Lightsprint task links
+    Subcommands:
+      list [--session <id>] [--all]        List links for this project (--all: every project)
+      get <id>                             Find links by Claude Code or Lightsprint task ID
+      set <ccTaskId> <lsTaskId> --session <id>
+                                           Add or repair a link
+      rm <ccTaskId> [--session <id>]       Remove a link
+      rm --ls <lsTaskId>                   Remove every link to a Lightsprint task
+      prune [--days <N>]                   Remove links older than N days (default: 30)
+    Example:
+      lightsprint map get abc123
+
+  sync [options]
+    Replay writes queued in the offline outbox, in order
+    Options:
+      --dry-run               List pending writes without sending them
+      --force                 Replay even if the task changed on the server since queueing
+      --drop <id>             Discard one pending write (ID prefix)
+      --clear                 Discard all pending writes
+      --all                   Include writes queued from every folder
+    Example:
+      lightsprint sync
+
+  git-hooks [install|uninstall|status] [--force]
+    Manage git hooks that link commits to the active task
+    (prepare-commit-msg adds a Lightsprint-Task trailer, post-commit posts the
+    commit SHA, subject and diffstat to that task)
+    Options:
+      --force                 Install over existing hooks (they are kept and run first)
+    Example:
+      lightsprint git-hooks install
+
+  link-commit <sha> <taskId>
+    Post a commit's SHA, subject and diffstat to a task (manual backfill)
+    Example:
+      lightsprint link-commit 1a2b3c4 abc123
 
   status
     Show Lightsprint connection status for the current folder
@@ -121,286 +385,2094 @@ Commands:
   review-plan [input]
     Review an implementation plan (typically invoked by Claude Code hooks)
 
+  sync-task [input]
+    Sync a linked Claude Code task to Lightsprint (invoked by Claude Code hooks)
+
+  sync-todos [input]
+    Mirror Claude's todo list into the session's task (invoked by Claude Code hooks)
+
+  track-files [input] [--flush]
+    Record edited files as the session task's related files (invoked by Claude Code hooks)
+
+  session-start [input]
+    Print the active task as session context (invoked by Claude Code hooks)
+
+  session-summary [input]
+    Comment a summary of the session on its task (invoked by Claude Code hooks)
+
   upgrade
     Download and install the latest version from GitHub releases
 
+Task IDs:
+  Wherever a task ID is expected, you can also give a unique ID prefix (abc1),
+  a task number ('#42'), a title match (~"login bug") or @current for the
+  active task of this folder. A reference matching several tasks lists them
+  instead of picking one. Run from a terminal without a task ID, claim, get
+  and update let you pick the task from a list.
+
+Statuses:
+  Every --status option accepts a status key or column name. The defaults
+  (todo, in_progress, in_review, done) can be extended with custom columns via
+  "statusMapping" in ~/.lightsprint/config.json or the repo's .lightsprint.json.
+
+JSON output:
+  tasks, board, export, get, create, import, update, claim, review, done,
+  pr-body, comment, comments, files, todo, scan-todos, whoami and status print a
+  single JSON document with --json (or LIGHTSPRINT_OUTPUT=json); watch prints
+  one JSON line per event. Errors print { "error": { "code", "message" } } and
+  exit 1.
+
+Options:
+  Options take a value as --name value or --name=value. Unknown options are
+  rejected; put arguments that start with -- after a bare --.
+
 Flags:
-  --help, -h              Show this help message
+  --json                  Print JSON instead of text
+  --help, -h              Show this help message (after a command: its options)
 `);
 }
 
 // ─── tasks ───────────────────────────────────────────────────────────────
 
-async function cmdTasks(args) {
+const TASKS_ARGS = {
+	name: 'tasks',
+	summary: 'List tasks from the project board',
+	options: {
+		status: { ...statusOption('Filter by status'), list: true },
+		assignee: { type: 'string', placeholder: 'name', summary: "Filter by assignee ('me' for yourself)" },
+		mine: { type: 'boolean', summary: 'Only tasks assigned to you (same as --assignee me)' },
+		complexity: { type: 'string', placeholder: 'level', list: true, choices: COMPLEXITIES, summary: 'Filter by complexity' },
+		search: { type: 'string', placeholder: 'text', summary: 'Match text in the title or description' },
+		since: { type: 'string', placeholder: 'date', summary: 'Updated since a date (2024-05-01) or age (7d, 12h, 2w)', parse: parseSince },
+		sort: { type: 'string', placeholder: 'field', choices: SORT_FIELDS, summary: 'Sort, newest / most complex first' },
+		limit: { type: 'number', placeholder: 'N', default: 20, summary: 'Maximum number of tasks', parse: positiveInteger('limit') },
+		page: { type: 'string', placeholder: 'cursor', summary: 'Fetch the page starting at a cursor printed by a previous run' },
+		all: { type: 'boolean', summary: 'Fetch every matching task (ignores --limit)' }
+	},
+	json: true,
+	examples: [
+		'lightsprint tasks --status todo,in_progress --mine',
+		'lightsprint tasks --search login --sort updated --since 7d',
+		'lightsprint tasks --all --json'
+	]
+};
+
+async function cmdTasks({ options }) {
+	const statusMap = loadStatusMap();
+	if (options.mine && options.assignee) {
+		throw cliError('usage', '--mine and --assignee cannot be combined.');
+	}
+	if (options.page && options.all) {
+		throw cliError('usage', '--page and --all cannot be combined.');
+	}
+
+	const result = await listTasks({
+		statuses: options.status,
+		assignee: options.mine ? 'me' : options.assignee,
+		complexities: options.complexity,
+		search: options.search,
+		since: options.since,
+		sort: options.sort,
+		limit: options.limit,
+		all: options.all,
+		cursor: options.page,
+		statusMap
+	});
+	const { tasks } = result;
+
+	if (isJsonOutput()) {
+		printJson({
+			tasks: tasks.map(task => taskJson(task, statusMap)),
+			count: tasks.length,
+			totalCount: result.totalCount,
+			hasMore: result.hasMore,
+			nextCursor: result.nextCursor
+		});
+		return;
+	}
+
+	if (tasks.length === 0) {
+		console.log('No tasks found.');
+		return;
+	}
+
+	const total = result.totalCount > tasks.length ? ` of ${result.totalCount} total` : '';
+	console.log(`Found ${tasks.length} task(s)${total}:\n`);
+
+	for (const task of tasks) {
+		const status = taskStatusKey(task, statusMap) || 'unknown';
+		const assignee = task.assignee ? ` [${task.assignee}]` : '';
+		const complexity = task.complexity && task.complexity !== 'unknown' ? ` (${task.complexity})` : '';
+		console.log(`  ${task.id}  [${status}]${assignee}${complexity}  ${task.title}`);
+		if (task.description) {
+			const desc = task.description.slice(0, 120).replace(/\n/g, ' ');
+			console.log(`           ${desc}${task.description.length > 120 ? '...' : ''}`);
+		}
+	}
+
+	if (result.hasMore) {
+		const more = result.totalCount && !options.page ? `${result.totalCount - tasks.length} more` : 'more';
+		const next = result.nextCursor ? `--page ${result.nextCursor} for the next page, ` : '';
+		console.log(`\n  ... and ${more}. Use ${next}--all to see everything, or a larger --limit.`);
+	}
+}
+
+/**
+ * Parse --since: an ISO date or an age like 7d, 12h or 2w.
+ * @param {string} value
+ * @returns {Date}
+ */
+function parseSince(value) {
+	const age = value.match(/^(\d+)([hdw])$/);
+	if (age) {
+		const hours = { h: 1, d: 24, w: 24 * 7 }[age[2]];
+		return new Date(Date.now() - Number(age[1]) * hours * 60 * 60 * 1000);
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw cliError('usage', `Invalid --since value "${value}". Use a date (2024-05-01) or an age (7d, 12h, 2w).`);
+	}
+	return date;
+}
+
+// ─── board ───────────────────────────────────────────────────────────────
+
+const BOARD_ARGS = {
+	name: 'board',
+	summary: 'Show the board as columns in the terminal, with per-column counts; the active task is highlighted',
+	options: {
+		mine: { type: 'boolean', summary: 'Only tasks assigned to you' },
+		assignee: { type: 'string', placeholder: 'name', summary: "Only tasks assigned to someone ('me' for yourself)" },
+		limit: { type: 'number', placeholder: 'N', default: 10, summary: 'Cards per column', parse: positiveInteger('limit') },
+		layout: { type: 'string', placeholder: 'layout', choices: ['auto', 'columns', 'stacked'], default: 'auto', summary: 'Side by side or one under another' }
+	},
+	json: true,
+	examples: ['lightsprint board', 'lightsprint board --mine --layout stacked']
+};
+
+async function cmdBoard({ options }) {
+	if (options.mine && options.assignee) {
+		throw cliError('usage', '--mine and --assignee cannot be combined.');
+	}
+	const statusMap = loadStatusMap();
+	const assignee = options.mine ? 'me' : options.assignee;
+
+	const columns = [];
+	for (const column of Object.values(statusMap.columns)) {
+		// Filtered columns are fetched in full so the count is exact
+		const result = await listTasks({
+			statuses: [column.key],
+			assignee,
+			all: Boolean(assignee),
+			limit: options.limit,
+			statusMap
+		});
+		columns.push({
+			key: column.key,
+			name: column.name,
+			count: result.totalCount ?? result.tasks.length,
+			tasks: result.tasks.slice(0, options.limit)
+		});
+	}
+
+	const activeTaskId = getActiveTask()?.taskId || null;
+
+	if (isJsonOutput()) {
+		printJson({
+			columns: columns.map(c => ({ ...c, tasks: c.tasks.map(task => taskJson(task, statusMap)) })),
+			activeTaskId
+		});
+		return;
+	}
+
+	const tty = process.stdout.isTTY;
+	console.log(renderBoard(columns, {
+		width: (tty && process.stdout.columns) || Number(process.env.COLUMNS) || 100,
+		layout: options.layout,
+		activeTaskId,
+		color: tty && !process.env.NO_COLOR
+	}));
+}
+
+// ─── export ──────────────────────────────────────────────────────────────
+
+const EXPORT_ARGS = {
+	name: 'export',
+	summary: 'Export the board as Markdown (grouped by column), CSV or JSON',
+	options: {
+		format: { type: 'string', placeholder: 'format', choices: EXPORT_FORMATS, summary: 'Output format (default: from the -o extension, else md)' },
+		status: { ...statusOption('Only these columns'), list: true },
+		assignee: { type: 'string', placeholder: 'name', summary: "Only tasks assigned to someone ('me' for yourself)" },
+		comments: { type: 'boolean', summary: 'Include comments (one extra request per task)' },
+		output: { type: 'string', placeholder: 'file', short: 'o', summary: 'Write to a file instead of stdout' }
+	},
+	json: true,
+	notes: ['--json without -o prints the JSON export; with -o it prints a summary.'],
+	examples: [
+		'lightsprint export -o board.md',
+		'lightsprint export --format csv --status todo,in_progress > open.csv',
+		'lightsprint export --comments -o retro.json'
+	]
+};
+
+async function cmdExport({ options }) {
+	const { status, assignee, comments: withComments, output } = options;
+	const format = options.format
+		|| EXPORT_FORMATS.find(f => output?.toLowerCase().endsWith(`.${f}`))
+		|| (isJsonOutput() && !output ? 'json' : 'md');
+	if (isJsonOutput() && !output && format !== 'json') {
+		throw cliError('usage', `--json prints JSON; use -o to write ${format} to a file.`);
+	}
+
+	const statusMap = loadStatusMap();
+	const keys = status.length > 0 ? status : statusKeys(statusMap);
+	const columns = [];
+	for (const key of keys) {
+		const { tasks } = await listTasks({ statuses: [key], assignee, all: true, statusMap });
+		columns.push({ key, name: statusMap.columns[key].name, tasks });
+	}
+	if (withComments) {
+		for (const task of columns.flatMap(column => column.tasks)) {
+			const data = await apiRequest(`/api/tasks/${task.id}/comments`);
+			task.comments = data?.comments || [];
+		}
+	}
+
+	const meta = {
+		projectName: (await getProjectInfo()).project?.name,
+		exportedAt: new Date().toISOString(),
+		withComments,
+		statusMap
+	};
+	const content = format === 'csv'
+		? exportCsv(columns, meta)
+		: format === 'json' ? exportJson(columns, meta) : exportMarkdown(columns, meta);
+
+	if (!output) {
+		process.stdout.write(content);
+		return;
+	}
+	writeFileSync(output, content);
+	const count = columns.reduce((sum, column) => sum + column.tasks.length, 0);
+	if (isJsonOutput()) {
+		printJson({ file: output, format, count });
+		return;
+	}
+	console.log(`Exported ${count} task(s) to ${output} (${format}).`);
+}
+
+// ─── watch ───────────────────────────────────────────────────────────────
+
+const MIN_WATCH_INTERVAL = 5;
+const EXEC_TIMEOUT_MS = 60 * 1000;
+
+const WATCH_ARGS = {
+	name: 'watch',
+	summary: 'Poll the board and print an event when watched tasks are created, moved, reassigned or commented on',
+	options: {
+		status: { ...statusOption('Only tasks in these columns'), list: true },
+		mine: { type: 'boolean', summary: 'Only tasks assigned to you' },
+		assignee: { type: 'string', placeholder: 'name', summary: "Only tasks assigned to someone ('me' for yourself)" },
+		events: { type: 'string', placeholder: 'type', list: true, choices: EVENT_TYPES, summary: 'Only these events' },
+		interval: {
+			type: 'number',
+			placeholder: 'seconds',
+			default: 30,
+			summary: 'Seconds between polls',
+			parse: value => {
+				if (value < MIN_WATCH_INTERVAL) throw cliError('usage', `--interval must be at least ${MIN_WATCH_INTERVAL} seconds.`);
+				return value;
+			}
+		},
+		once: { type: 'boolean', summary: 'Poll once, report changes since the last run and exit' },
+		exec: { type: 'string', placeholder: 'command', summary: 'Run a shell command for each event' }
+	},
+	json: true,
+	notes: [
+		'The first poll records the board; later polls report what changed. The last',
+		'state is kept in ~/.lightsprint/watch.json, so --once (e.g. from cron) reports',
+		'changes since its previous run. Comments are checked on every watched task,',
+		'so narrow large boards with --mine or --status.',
+		'',
+		'With --json, each event is printed as one line of JSON:',
+		'  { "type", "taskId", "title", "at", "from"?, "to"?, "comment"? }',
+		'',
+		'--exec runs through the shell with the event JSON on stdin and LS_EVENT,',
+		'LS_TASK_ID, LS_TASK_TITLE, LS_FROM and LS_TO set.'
+	],
+	examples: [
+		'lightsprint watch --mine',
+		'lightsprint watch --mine --events moved,commented --exec \'notify-send "$LS_EVENT" "$LS_TASK_TITLE"\'',
+		'lightsprint watch --status in_review --once --json'
+	]
+};
+
+async function cmdWatch({ options }) {
+	if (options.mine && options.assignee) {
+		throw cliError('usage', '--mine and --assignee cannot be combined.');
+	}
+	const statusMap = loadStatusMap();
+	const assignee = options.mine ? 'me' : options.assignee;
+	const watched = taskFilter({ statuses: options.status, assignee: assignee && await resolveAssignee(assignee) }, statusMap);
+
+	// Each filter keeps its own snapshot
+	const projectId = await getProjectId();
+	const key = `${projectId}:${JSON.stringify({ statuses: [...options.status].sort(), assignee: assignee || null })}`;
+	let previous = readSnapshot(key)?.tasks ?? null;
+
+	if (!options.once && !isJsonOutput()) {
+		console.log(`Watching ${options.status.length ? options.status.join(', ') : 'all columns'}${assignee ? ` for ${assignee}` : ''}, every ${options.interval}s. Press Ctrl-C to stop.`);
+	}
+
+	for (;;) {
+		try {
+			previous = await pollWatch(key, previous, { watched, statusMap }, options);
+		} catch (err) {
+			if (options.once) throw err;
+			console.error(`Warning: poll failed: ${err.message}`);
+		}
+		if (options.once) return;
+		await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+	}
+}
+
+/**
+ * Poll once: report changes against `previous` and store the new state.
+ * The whole board is compared so tasks entering or leaving the watched set
+ * show up as moves and reassignments; comments are fetched for watched tasks.
+ * @returns {Promise<object>} The new state
+ */
+async function pollWatch(key, previous, { watched, statusMap }, { events: eventTypes, exec }) {
+	const { tasks } = await listTasks({ all: true, statusMap });
+	const comments = new Map();
+	const current = {};
+	let count = 0;
+	for (const task of tasks) {
+		const state = {
+			title: task.title,
+			status: taskStatusKey(task, statusMap) || null,
+			assignee: task.assignee ?? null,
+			watched: watched(task)
+		};
+		if (state.watched) {
+			const list = (await apiRequest(`/api/tasks/${task.id}/comments`))?.comments || [];
+			for (const comment of list) comments.set(comment.id, comment);
+			state.commentIds = list.map(comment => comment.id);
+			count++;
+		}
+		current[task.id] = state;
+	}
+
+	if (!previous) {
+		writeSnapshot(key, current);
+		if (!isJsonOutput()) {
+			console.log(`Recorded ${count} task(s); changes are reported from the next poll.`);
+		}
+		return current;
+	}
+
+	const at = new Date().toISOString();
+	for (const event of diffStates(previous, current)) {
+		if (eventTypes.length > 0 && !eventTypes.includes(event.type)) continue;
+		const { commentId, ...rest } = event;
+		const full = { ...rest, at, ...(commentId ? { comment: commentJson(comments.get(commentId)) } : {}) };
+		printWatchEvent(full);
+		if (exec) runEventCommand(exec, full);
+	}
+
+	writeSnapshot(key, current);
+	return current;
+}
+
+function printWatchEvent(event) {
+	if (isJsonOutput()) {
+		// One event per line (JSON Lines)
+		console.log(JSON.stringify(event));
+		return;
+	}
+	let detail = '';
+	if (event.type === 'created') detail = `[${event.to || 'unknown'}]`;
+	if (event.type === 'moved') detail = `${event.from || 'unknown'} → ${event.to || 'unknown'}`;
+	if (event.type === 'reassigned') detail = `${event.from || 'nobody'} → ${event.to || 'nobody'}`;
+	if (event.type === 'commented') {
+		const body = event.comment.body.replace(/\s+/g, ' ').trim();
+		detail = `${event.comment.author || 'unknown'}: ${body.length > 80 ? body.slice(0, 79) + '…' : body}`;
+	}
+	console.log(`${formatTime(event.at)}  ${event.type.padEnd(10)}  ${event.taskId}  ${event.title}  ${detail}`);
+}
+
+/**
+ * Run the --exec command for an event. Failures are reported and skipped.
+ * @param {string} command
+ * @param {object} event
+ */
+function runEventCommand(command, event) {
+	const result = spawnSync(command, {
+		shell: true,
+		input: JSON.stringify(event),
+		// Keep stdout clean for --json consumers
+		stdio: ['pipe', isJsonOutput() ? 2 : 'inherit', 'inherit'],
+		timeout: EXEC_TIMEOUT_MS,
+		env: {
+			...process.env,
+			LS_EVENT: event.type,
+			LS_TASK_ID: event.taskId,
+			LS_TASK_TITLE: event.title,
+			LS_FROM: event.from ?? '',
+			LS_TO: event.to ?? ''
+		}
+	});
+	if (result.error || result.status !== 0) {
+		console.error(`Warning: --exec failed for ${event.type} ${event.taskId}: ${result.error?.message || `exit code ${result.status}`}`);
+	}
+}
+
+// ─── create ──────────────────────────────────────────────────────────────
+
+const CREATE_ARGS = {
+	name: 'create',
+	summary: 'Create a new task',
+	positionals: [{ name: 'title', variadic: true }],
+	options: {
+		'from-file': { type: 'string', placeholder: 'path', summary: 'Read the task from a markdown file with front matter' },
+		description: { type: 'string', placeholder: 'text', summary: 'Task description' },
+		complexity: { type: 'string', placeholder: 'level', choices: COMPLEXITIES, summary: 'Task complexity' },
+		status: statusOption('Initial status (default: todo)')
+	},
+	json: true,
+	notes: [
+		'With --from-file, the front matter sets title, status, complexity, assignee and',
+		'todos and the body becomes the description (see lightsprint import --help).',
+		"Options given on the command line override the file. The new task's ID is",
+		'written back into the file.'
+	],
+	examples: [
+		'lightsprint create "Fix login redirect" --complexity low --description "Users loop on /login"',
+		'lightsprint create --from-file docs/tasks/login-redirect.md'
+	]
+};
+
+async function cmdCreate({ positionals, options }) {
+	const { fromFile, description, complexity, status } = options;
+
+	let file = null;
+	if (fromFile) {
+		file = readTaskFile(fromFile);
+		if (file.id) {
+			throw cliError('usage', `${fromFile} is already task ${file.id}. Run 'lightsprint import ${fromFile}' to update it.`);
+		}
+	}
+
+	const fields = {
+		...file?.fields,
+		title: positionals.title.join(' ').trim() || file?.fields.title,
+		...(description ? { description } : {}),
+		...(complexity ? { complexity } : {}),
+		status: status || file?.fields.status || 'todo'
+	};
+	if (!fields.title) {
+		throw cliError('usage', "Missing required argument <title>.\nRun 'lightsprint create --help' for usage.");
+	}
+
+	const column = resolveStatus(fields.status);
 	const projectId = await getProjectId();
-	const params = new URLSearchParams();
+	const data = await apiRequest(`/api/projects/${projectId}/tasks`, {
+		method: 'POST',
+		body: JSON.stringify(taskFieldsBody(fields)),
+		// The ID must be written back to the file; a replayed create would duplicate on the next import
+		queue: !file
+	});
+
+	const task = data.task;
+	if (file) writeTaskId(file.path, file.text, task.id);
+
+	if (isJsonOutput()) {
+		printJson({ task: taskJson(task) });
+		return;
+	}
+
+	console.log(`Created task: ${task.title}`);
+	console.log(`ID: ${task.id}`);
+	console.log(`Status: ${taskStatusKey(task) || column.key}`);
+	if (task.complexity && task.complexity !== 'unknown') {
+		console.log(`Complexity: ${task.complexity}`);
+	}
+	if (task.description) {
+		console.log(`\nDescription:\n${task.description}`);
+	}
+	if (file) {
+		console.log(`\nTask ID written to ${file.path}.`);
+	}
+
+	console.log(`\nTo link this task in Claude Code, create a task with:`);
+	console.log(`  metadata: { lightsprint_task_id: "${task.id}" }`);
+}
+
+/**
+ * Build the API body for task fields (as read by readTaskFile).
+ * @param {object} fields
+ * @returns {object}
+ */
+function taskFieldsBody({ title, description, status, complexity, assignee, todoList }) {
+	const body = { title };
+	if (status) Object.assign(body, statusPatch(resolveStatus(status)));
+	if (description) body.description = description;
+	if (complexity) body.complexity = complexity;
+	if (assignee) body.assignee = assignee;
+	if (todoList) body.todoList = todoList;
+	return body;
+}
+
+// ─── import ──────────────────────────────────────────────────────────────
+
+const IMPORT_ARGS = {
+	name: 'import',
+	summary: 'Create or update tasks from markdown files with front matter',
+	positionals: [{ name: 'paths', required: true, variadic: true }],
+	options: {
+		'dry-run': { type: 'boolean', summary: 'Show what would be created or updated without changing anything' },
+		'update-status': { type: 'boolean', summary: "Also move existing tasks to the file's status" }
+	},
+	json: true,
+	notes: [
+		'Directories are read for *.md files (not recursively). Each file is one task:',
+		'',
+		'  ---',
+		'  title: Fix the login redirect',
+		'  status: todo',
+		'  complexity: low',
+		'  assignee: Alice',
+		'  todos:',
+		'    - Reproduce the loop',
+		'    - "[x] Add a failing test"',
+		'  ---',
+		'  Users loop on /login after their session expires.',
+		'',
+		'The body becomes the description; without "title", the first # Heading is',
+		'the title. Created tasks get "id: <taskId>" written into the file, so',
+		'running import again updates those tasks instead of creating duplicates.',
+		'Updates never uncheck or remove todo items, and leave the status of existing',
+		'tasks alone unless --update-status is given.'
+	],
+	examples: [
+		'lightsprint import docs/tasks --dry-run',
+		'lightsprint import docs/tasks/login-redirect.md'
+	]
+};
+
+async function cmdImport({ positionals, options }) {
+	const { dryRun, updateStatus } = options;
+
+	let paths;
+	try {
+		paths = listTaskFiles(positionals.paths);
+	} catch (err) {
+		throw new Error(`Cannot read ${err.path || 'import path'}: ${err.code === 'ENOENT' ? 'no such file or directory' : err.message}`);
+	}
+	if (paths.length === 0) {
+		throw cliError('usage', `No .md files found in ${positionals.paths.join(', ')}.`);
+	}
+
+	const results = [];
+	for (const path of paths) {
+		try {
+			results.push(await importTaskFile(path, { dryRun, updateStatus }));
+		} catch (err) {
+			results.push({ file: path, action: 'error', error: err.message, code: errorCode(err) });
+		}
+	}
+	if (results.some(r => r.action === 'error')) process.exitCode = 1;
+
+	if (isJsonOutput()) {
+		printJson({
+			dryRun,
+			results: results.map(({ file, action, task, changes, error, code }) => ({
+				file,
+				action,
+				...(task ? { task: taskJson(task) } : {}),
+				...(changes ? { changes } : {}),
+				...(error ? { error: { code, message: error } } : {})
+			}))
+		});
+		return;
+	}
+
+	console.log(`${dryRun ? 'Dry run: ' : ''}${paths.length} file(s)`);
+	const width = Math.max(...results.map(r => r.file.length));
+	for (const result of results) {
+		let detail;
+		if (result.action === 'error') {
+			detail = result.error.replace(`${result.file}: `, '');
+		} else {
+			const { id, title, status } = result.task;
+			detail = `${id ? `${id}  ` : ''}${title}`;
+			if (result.changes) detail += ` (${result.changes.join(', ')})`;
+			else if (!id) detail += ` [${status}]`;
+		}
+		console.log(`  ${result.action.padEnd(9)} ${result.file.padEnd(width)}  ${detail}`);
+	}
+
+	const count = action => results.filter(r => r.action === action).length;
+	const verbs = dryRun ? ['would create', 'would update'] : ['created', 'updated'];
+	console.log(`\n${count('create')} ${verbs[0]}, ${count('update')} ${verbs[1]}, ${count('unchanged')} unchanged, ${count('error')} failed.`);
+}
+
+/**
+ * Create or update the task described by one file.
+ * @param {string} path
+ * @param {{ dryRun: boolean, updateStatus?: boolean }} options - The file's status
+ *   applies to existing tasks only with updateStatus, so board progress isn't undone
+ * @returns {Promise<{ file: string, action: 'create' | 'update' | 'unchanged', task: object, changes?: string[] }>}
+ */
+async function importTaskFile(path, { dryRun, updateStatus }) {
+	const file = readTaskFile(path);
+
+	if (!file.id) {
+		const status = file.fields.status || 'todo';
+		const body = taskFieldsBody({ ...file.fields, status });
+		if (dryRun) {
+			return { file: path, action: 'create', task: { ...body, status } };
+		}
+		const projectId = await getProjectId();
+		const data = await apiRequest(`/api/projects/${projectId}/tasks`, {
+			method: 'POST',
+			body: JSON.stringify(body),
+			// Not queued: the file could not record the replayed task's ID
+			queue: false
+		});
+		writeTaskId(path, file.text, data.task.id);
+		return { file: path, action: 'create', task: data.task };
+	}
+
+	const data = await apiRequest(`/api/tasks/${file.id}`);
+	const task = data?.task;
+	if (!task) {
+		throw cliError('not_found', `${path}: task ${file.id} not found`);
+	}
+
+	// Only send what differs from the task
+	const { title, description, status, complexity, assignee, todoList } = file.fields;
+	const patch = {};
+	const changes = [];
+	if (title !== task.title) { patch.title = title; changes.push('title'); }
+	if (description && description !== task.description) { patch.description = description; changes.push('description'); }
+	if (updateStatus && status && status !== taskStatusKey(task)) { Object.assign(patch, statusPatch(resolveStatus(status))); changes.push('status'); }
+	if (complexity && complexity !== task.complexity) { patch.complexity = complexity; changes.push('complexity'); }
+	if (assignee && assignee !== task.assignee) { patch.assignee = assignee; changes.push('assignee'); }
+	if (todoList) {
+		const merged = mergeFileTodos(task.todoList, todoList);
+		if (JSON.stringify(merged) !== JSON.stringify(task.todoList || [])) { patch.todoList = merged; changes.push('todos'); }
+	}
+
+	if (changes.length === 0) {
+		return { file: path, action: 'unchanged', task };
+	}
+	if (dryRun) {
+		return { file: path, action: 'update', task, changes };
+	}
+	const updated = await apiRequest(`/api/tasks/${file.id}`, {
+		method: 'PATCH',
+		body: JSON.stringify(patch)
+	});
+	return { file: path, action: 'update', task: updated?.task ?? task, changes };
+}
+
+// ─── update ──────────────────────────────────────────────────────────────
+
+// Shared by the commands whose taskId can be picked interactively
+const PICKER_NOTE = 'Without a task ID in a terminal, pick the task from an interactive list.';
+
+const UPDATE_ARGS = {
+	name: 'update',
+	summary: 'Update an existing task',
+	positionals: [{ name: 'taskId' }],
+	options: {
+		title: { type: 'string', placeholder: 'text', summary: 'New title' },
+		description: { type: 'string', placeholder: 'text', summary: 'New description' },
+		status: statusOption('New status'),
+		complexity: { type: 'string', placeholder: 'level', choices: COMPLEXITIES, summary: 'New complexity' },
+		assignee: { type: 'string', placeholder: 'name', summary: 'Assign to a team member' }
+	},
+	json: true,
+	notes: [PICKER_NOTE],
+	examples: ['lightsprint update abc123 --status done --assignee "John"']
+};
+
+async function cmdUpdate({ positionals, options }) {
+	const patch = {};
+	if (options.title) patch.title = options.title;
+	if (options.description) patch.description = options.description;
+	if (options.status) Object.assign(patch, statusPatch(resolveStatus(options.status)));
+	if (options.complexity) patch.complexity = options.complexity;
+	if (options.assignee) patch.assignee = options.assignee;
+
+	if (Object.keys(patch).length === 0) {
+		throw cliError('usage', 'at least one field to update is required.');
+	}
+
+	const taskId = await taskRefOrPick(positionals.taskId, 'update');
+
+	await apiRequest(`/api/tasks/${taskId}`, {
+		method: 'PATCH',
+		body: JSON.stringify(patch)
+	});
+
+	// Fetch updated task to confirm
+	const data = await apiRequest(`/api/tasks/${taskId}`);
+	const task = data.task;
+	if (isJsonOutput()) {
+		printJson({ task: taskJson(task) });
+		return;
+	}
+
+	console.log(`Updated task: ${task.title}`);
+	console.log(`ID: ${task.id}`);
+	console.log(`Status: ${taskStatusKey(task) || 'unknown'}`);
+	if (task.assignee) console.log(`Assignee: ${task.assignee}`);
+	if (task.complexity && task.complexity !== 'unknown') {
+		console.log(`Complexity: ${task.complexity}`);
+	}
+	if (task.description) {
+		const desc = task.description.slice(0, 200).replace(/\n/g, ' ');
+		console.log(`Description: ${desc}${task.description.length > 200 ? '...' : ''}`);
+	}
+}
+
+// ─── get ─────────────────────────────────────────────────────────────────
+
+const GET_ARGS = {
+	name: 'get',
+	summary: 'Show full details of a task including description, todo list, and related files',
+	positionals: [{ name: 'taskId' }],
+	json: true,
+	notes: [PICKER_NOTE],
+	examples: ['lightsprint get abc123']
+};
+
+async function cmdGet({ positionals }) {
+	const taskId = await taskRefOrPick(positionals.taskId, 'get');
+
+	const data = await apiRequest(`/api/tasks/${taskId}`);
+	const task = data.task;
+
+	if (!task) {
+		throw cliError('not_found', `Task ${taskId} not found`);
+	}
+	if (isJsonOutput()) {
+		printJson({ task: taskJson(task) });
+		return;
+	}
+
+	console.log(`Title: ${task.title}`);
+	console.log(`ID: ${task.id}`);
+	console.log(`Status: ${taskStatusKey(task) || 'unknown'}`);
+	if (task.assignee) console.log(`Assignee: ${task.assignee}`);
+	if (task.complexity && task.complexity !== 'unknown') {
+		console.log(`Complexity: ${task.complexity}`);
+	}
+	if (task.description) {
+		console.log(`\nDescription:\n${task.description}`);
+	}
+	if (task.todoList && task.todoList.length > 0) {
+		console.log(`\nTodo list:`);
+		for (const item of task.todoList) {
+			console.log(`  ${item.completed ? '[x]' : '[ ]'} ${item.text}`);
+		}
+	}
+	if (task.relatedFiles && task.relatedFiles.length > 0) {
+		console.log(`\nRelated files:`);
+		for (const f of task.relatedFiles) {
+			const path = typeof f === 'string' ? f : f.path;
+			console.log(`  - ${path}`);
+		}
+	}
+}
+
+// ─── claim ───────────────────────────────────────────────────────────────
+
+const CLAIM_ARGS = {
+	name: 'claim',
+	summary: 'Claim a task, set its status to in_progress and make it the active task',
+	positionals: [{ name: 'taskId' }],
+	options: {
+		branch: { type: 'boolean', summary: 'Create (or reuse) and check out the task branch' }
+	},
+	json: true,
+	notes: [PICKER_NOTE],
+	examples: ['lightsprint claim abc123 --branch']
+};
+
+async function cmdClaim({ positionals, options }) {
+	const { branch } = options;
+	const task = await claimTask(await taskRefOrPick(positionals.taskId, 'claim'));
+
+	let checkout = null;
+	let branchError = null;
+	if (branch) {
+		try {
+			checkout = checkoutTaskBranch(task);
+		} catch (err) {
+			branchError = err.message;
+			process.exitCode = 1;
+		}
+	}
+
+	if (isJsonOutput()) {
+		printJson({
+			task: taskJson(task),
+			...(branch ? { branch: checkout ? { name: checkout.branch, created: checkout.created } : { error: branchError } } : {})
+		});
+		return;
+	}
+
+	console.log(`Claimed task: ${task.title}`);
+	console.log(`ID: ${task.id}`);
+	console.log(`Status: in_progress`);
+	if (checkout) console.log(`Branch: ${checkout.branch}${checkout.created ? ' (created)' : ''}`);
+	if (branchError) console.error(`Could not check out task branch: ${branchError}`);
+	if (task.description) {
+		console.log(`\nDescription:\n${task.description}`);
+	}
+	if (task.todoList && task.todoList.length > 0) {
+		console.log(`\nTodo list:`);
+		for (const item of task.todoList) {
+			console.log(`  ${item.completed ? '[x]' : '[ ]'} ${item.text}`);
+		}
+	}
+	if (task.relatedFiles && task.relatedFiles.length > 0) {
+		console.log(`\nRelated files:`);
+		for (const f of task.relatedFiles) {
+			const path = typeof f === 'string' ? f : f.path;
+			console.log(`  - ${path}`);
+		}
+	}
+	if (task.complexity && task.complexity !== 'unknown') {
+		console.log(`Complexity: ${task.complexity}`);
+	}
+
+	console.log(`\nTo link this task in Claude Code, create a task with:`);
+	console.log(`  metadata: { lightsprint_task_id: "${task.id}" }`);
+}
+
+/**
+ * Set a task to in_progress and record it as this folder's active task.
+ * @param {string} taskId
+ * @returns {Promise<object>} The claimed task
+ */
+async function claimTask(taskId) {
+	// Set task to in_progress
+	await apiRequest(`/api/tasks/${taskId}`, {
+		method: 'PATCH',
+		body: JSON.stringify(statusPatch(resolveStatus('in_progress')))
+	});
+
+	// Get full task details
+	const data = await apiRequest(`/api/tasks/${taskId}`);
+	const task = data.task;
+
+	if (!task) {
+		throw cliError('not_found', `Task ${taskId} not found`);
+	}
+
+	const projectId = await getProjectId();
+	setActiveTask({ taskId: task.id, projectId, title: task.title });
+	return task;
+}
+
+// ─── current ─────────────────────────────────────────────────────────────
+
+const CURRENT_ARGS = {
+	name: 'current',
+	summary: 'Show the active (claimed) task for this folder, or the task of the current branch'
+};
+
+async function cmdCurrent() {
+	const active = getActiveTask();
+	if (!active) {
+		console.log('No active task for this folder.');
+		console.log('Claim one with: lightsprint claim <taskId>');
+		return;
+	}
+
+	const data = await apiRequest(`/api/tasks/${active.taskId}`);
+	const task = data.task;
+
+	console.log(`Active task: ${task?.title || active.title || 'unknown'}`);
+	console.log(`ID: ${active.taskId}`);
+	if (task) console.log(`Status: ${taskStatusKey(task) || 'unknown'}`);
+	if (task?.assignee) console.log(`Assignee: ${task.assignee}`);
+	if (active.source === 'branch') {
+		console.log(`Inferred from branch: ${active.branch}`);
+	} else {
+		console.log(`Claimed: ${active.claimedAt}`);
+	}
+	if (task?.todoList && task.todoList.length > 0) {
+		const done = task.todoList.filter(item => item.completed).length;
+		console.log(`Todos: ${done}/${task.todoList.length} done`);
+	}
+}
+
+// ─── release ─────────────────────────────────────────────────────────────
+
+const RELEASE_ARGS = {
+	name: 'release',
+	summary: 'Move the active task back to todo and clear it'
+};
+
+async function cmdRelease() {
+	const active = getActiveTask();
+	if (!active) {
+		console.log('No active task for this folder.');
+		return;
+	}
+
+	await releaseTask(active.taskId);
+	console.log(`Released task: ${active.title || active.taskId}`);
+	console.log(`ID: ${active.taskId}`);
+	console.log(`Status: todo`);
+	if (active.source === 'branch') {
+		console.log(`Branch ${active.branch} no longer names this task; claim it again to resume.`);
+	}
+}
+
+/**
+ * Move a task back to todo and clear it as the active task, including when
+ * it is only inferred from the current branch.
+ * @param {string} taskId
+ */
+async function releaseTask(taskId) {
+	await apiRequest(`/api/tasks/${taskId}`, {
+		method: 'PATCH',
+		body: JSON.stringify(statusPatch(resolveStatus('todo')))
+	});
+	clearActiveTask({ taskId });
+}
+
+// ─── switch ──────────────────────────────────────────────────────────────
+
+const SWITCH_ARGS = {
+	name: 'switch',
+	summary: 'Claim another task and make it the active one',
+	positionals: [{ name: 'taskId', required: true }],
+	options: {
+		release: { type: 'boolean', summary: 'Also move the previous active task back to todo' }
+	},
+	examples: ['lightsprint switch def456 --release']
+};
+
+async function cmdSwitch({ positionals, options }) {
+	const taskId = await resolveTaskRef(positionals.taskId);
+	const { release } = options;
+
+	const previous = getActiveTask();
+	if (previous?.taskId === taskId) {
+		console.log(`Task ${taskId} is already the active task.`);
+		return;
+	}
+
+	if (previous && release) {
+		await releaseTask(previous.taskId);
+	}
+
+	const task = await claimTask(taskId);
+
+	if (previous) {
+		console.log(`Switched from: ${previous.title || previous.taskId} (${previous.taskId})${release ? ' — moved back to todo' : ''}`);
+	}
+	console.log(`Active task: ${task.title}`);
+	console.log(`ID: ${task.id}`);
+	console.log(`Status: in_progress`);
+}
+
+// ─── review ──────────────────────────────────────────────────────────────
+
+const REVIEW_ARGS = {
+	name: 'review',
+	summary: 'Move a task to in_review and post a summary of its branch',
+	positionals: [{ name: 'taskId' }],
+	options: {
+		base: { type: 'string', placeholder: 'branch', summary: 'Branch to compare with (default: origin/HEAD, else main or master)' },
+		'check-todos': { type: 'boolean', summary: 'Check off the remaining todo items without asking' }
+	},
+	json: true,
+	notes: [
+		'The task defaults to the active task. The comment names the current branch',
+		'and lists the commits since its merge-base with the base branch, with a',
+		'diffstat. When todo items are still open, review offers to check them off.'
+	],
+	examples: [
+		'lightsprint review',
+		'lightsprint review abc123 --base develop --check-todos'
+	]
+};
+
+async function cmdReview({ positionals, options }) {
+	const { base, checkTodos } = options;
+	const taskId = await resolveTaskRef(positionals.taskId || '@current');
+
+	let changes;
+	try {
+		changes = branchChanges({ base });
+	} catch (err) {
+		throw cliError('usage', err.message);
+	}
+
+	const data = await apiRequest(`/api/tasks/${taskId}`);
+	const task = data?.task;
+	if (!task) {
+		throw cliError('not_found', `Task ${taskId} not found`);
+	}
+
+	const json = isJsonOutput();
+	const todoList = (task.todoList || []).map(item => ({ ...item }));
+	const open = todoList.filter(item => !item.completed);
+	let check = checkTodos && open.length > 0;
+	if (open.length > 0 && !checkTodos && !json) {
+		console.log(`Open todo items (${open.length}):`);
+		for (const item of open) console.log(`  [ ] ${item.text}`);
+		if (process.stdin.isTTY && process.stdout.isTTY) {
+			check = await confirm(`Check off ${open.length} item(s)?`);
+		} else {
+			console.log('Run with --check-todos to check them off.');
+		}
+		console.log('');
+	}
+
+	const patch = statusPatch(resolveStatus('in_review'));
+	if (check) {
+		for (const item of open) item.completed = true;
+		patch.todoList = todoList;
+	}
+	await apiRequest(`/api/tasks/${taskId}`, { method: 'PATCH', body: JSON.stringify(patch) });
+
+	const body = formatReviewComment(changes, { repo: getGitRepoFullName() });
+	const posted = await apiRequest(`/api/tasks/${taskId}/comments`, {
+		method: 'POST',
+		body: JSON.stringify({ body })
+	});
+
+	if (json) {
+		const updated = (await apiRequest(`/api/tasks/${taskId}`)).task;
+		printJson({
+			task: taskJson(updated),
+			branch: changes.branch,
+			base: changes.base,
+			commits: changes.commits,
+			comment: commentJson(posted?.comment ?? { body }),
+			todosChecked: check ? open.map(item => item.text) : []
+		});
+		return;
+	}
+
+	console.log(`In review: ${task.title}`);
+	console.log(`ID: ${task.id}`);
+	console.log(`Status: in_review`);
+	console.log(`Branch: ${changes.branch || '(detached HEAD)'} — ${changes.commits.length} commit(s) since ${changes.base}`);
+	if (check) console.log(`Checked off ${open.length} todo item(s).`);
+	console.log('Posted the branch summary as a comment.');
+}
+
+// ─── done ────────────────────────────────────────────────────────────────
+
+const DONE_ARGS = {
+	name: 'done',
+	summary: 'Move a task to done, clear it as the active task and drop its task links',
+	positionals: [{ name: 'taskId' }],
+	json: true,
+	notes: [
+		'The task defaults to the active task. Links from Claude Code tasks to it',
+		'(see `lightsprint map`) are removed, so later task updates no longer sync to it.'
+	],
+	examples: ['lightsprint done', 'lightsprint done abc123']
+};
+
+async function cmdDone({ positionals }) {
+	const taskId = await resolveTaskRef(positionals.taskId || '@current');
+
+	await apiRequest(`/api/tasks/${taskId}`, {
+		method: 'PATCH',
+		body: JSON.stringify(statusPatch(resolveStatus('done')))
+	});
+	const task = (await apiRequest(`/api/tasks/${taskId}`)).task;
+	if (!task) {
+		throw cliError('not_found', `Task ${taskId} not found`);
+	}
+
+	const wasActive = clearActiveTask({ taskId });
+	const unlinked = removeByLsId(taskId, { projectId: await getProjectId() });
+
+	if (isJsonOutput()) {
+		printJson({ task: taskJson(task), clearedActive: wasActive, removedLinks: unlinked });
+		return;
+	}
+
+	console.log(`Done: ${task.title}`);
+	console.log(`ID: ${task.id}`);
+	console.log(`Status: done`);
+	if (wasActive) console.log('Cleared the active task for this folder.');
+	if (unlinked > 0) console.log(`Removed ${unlinked} task link(s).`);
+}
+
+// ─── pr-body ─────────────────────────────────────────────────────────────
+
+const PR_BODY_ARGS = {
+	name: 'pr-body',
+	summary: "Render a pull request description from a task, its approved plan and the branch's commits",
+	positionals: [{ name: 'taskId' }],
+	options: {
+		template: { type: 'string', placeholder: 'file', summary: 'Markdown template (default: prTemplate setting, else built in)' },
+		base: { type: 'string', placeholder: 'branch', summary: 'Branch to list commits since (default: origin/HEAD, else main or master)' },
+		output: { type: 'string', placeholder: 'file', short: 'o', summary: 'Write to a file instead of stdout' },
+		gh: { type: 'boolean', summary: 'Print a gh pr create command with the task title and this body' }
+	},
+	json: true,
+	notes: [
+		'The task defaults to the active task. The plan is the last one approved for',
+		'the task in plan review on this machine. Templates use {{title}}, {{id}},',
+		'{{description}}, {{todos}}, {{files}}, {{plan}}, {{commits}}, {{branch}} and',
+		'more; {{#name}}...{{/name}} sections are left out when name is empty.'
+	],
+	examples: [
+		'lightsprint pr-body > pr.md',
+		'lightsprint pr-body -o pr.md --gh',
+		'lightsprint pr-body | gh pr create --title "Fix login redirect" --body-file -'
+	]
+};
+
+async function cmdPrBody({ positionals, options }) {
+	const { base, output, gh } = options;
+	const taskId = await resolveTaskRef(positionals.taskId || '@current');
+	const template = loadPrTemplate(options.template);
+
+	const data = await apiRequest(`/api/tasks/${taskId}`);
+	const task = data?.task;
+	if (!task) {
+		throw cliError('not_found', `Task ${taskId} not found`);
+	}
+
+	let changes = null;
+	try {
+		changes = branchChanges({ base });
+	} catch (err) {
+		// Explicit --base mistakes are errors; no repository just means no commits
+		if (base) throw cliError('usage', err.message);
+	}
+	const plan = getApprovedPlan({ taskId: task.id, folder: getWorktreeRoot() || process.cwd() });
+
+	const body = renderPrBody(template, prBodyFields(task, {
+		status: taskStatusKey(task),
+		plan: plan?.content,
+		changes
+	}));
+	if (output) writeFileSync(output, body);
+	const command = gh
+		? `gh pr create --title ${shellQuote(task.title)} ${output ? `--body-file ${shellQuote(output)}` : `--body ${shellQuote(body)}`}`
+		: null;
+
+	if (isJsonOutput()) {
+		printJson({
+			taskId: task.id,
+			title: task.title,
+			body,
+			file: output || null,
+			planId: plan?.planId || null,
+			commits: changes?.commits.length ?? 0,
+			...(gh ? { command } : {})
+		});
+		return;
+	}
+	if (command) {
+		console.log(command);
+	} else if (output) {
+		console.log(`Wrote the PR description for ${task.title} to ${output}.`);
+	} else {
+		process.stdout.write(body);
+	}
+}
+
+// ─── comment ─────────────────────────────────────────────────────────────
+
+const COMMENT_ARGS = {
+	name: 'comment',
+	summary: 'Add, reply to, edit or delete a comment on a task',
+	positionals: [{ name: 'taskId', required: true }, { name: 'body', variadic: true }],
+	options: {
+		'reply-to': { type: 'string', placeholder: 'commentId', summary: 'Post the comment as a reply' },
+		edit: { type: 'string', placeholder: 'commentId', summary: 'Replace the body of one of your comments' },
+		delete: { type: 'string', placeholder: 'commentId', summary: 'Delete one of your comments' },
+		file: { type: 'string', placeholder: 'path', summary: "Read the body from a file ('-' for stdin)" }
+	},
+	json: true,
+	notes: [
+		"The body is the remaining arguments, the contents of --file, or stdin when it is '-'.",
+		'Only your own comments can be edited or deleted.'
+	],
+	examples: [
+		'lightsprint comment abc123 "This is now complete"',
+		'lightsprint comment abc123 --reply-to c42 "Fixed in 1a2b3c4"',
+		'lightsprint comment @current --file notes.md',
+		'git log -1 --format=%B | lightsprint comment @current -'
+	]
+};
+
+async function cmdComment({ positionals, options }) {
+	const { replyTo, edit, delete: deleteId, file } = options;
+	const taskId = await resolveTaskRef(positionals.taskId);
+
+	if ([replyTo, edit, deleteId].filter(Boolean).length > 1) {
+		throw cliError('usage', 'Use only one of --reply-to, --edit and --delete.');
+	}
 
-	// Parse args
-	let status = null;
-	let limit = 20;
-	for (let i = 0; i < args.length; i++) {
-		if (args[i] === '--status' && args[i + 1]) {
-			status = args[++i];
-		} else if (args[i] === '--limit' && args[i + 1]) {
-			limit = parseInt(args[++i], 10);
+	if (deleteId) {
+		if (positionals.body.length > 0 || file) {
+			throw cliError('usage', '--delete does not take a comment body.');
+		}
+		await commentRequest(taskId, deleteId, { method: 'DELETE' });
+		if (isJsonOutput()) {
+			printJson({ taskId, deleted: deleteId });
+			return;
 		}
+		console.log(`Comment ${deleteId} deleted from task ${taskId}.`);
+		return;
 	}
 
-	if (status) params.set('columnName', statusToColumnName(status));
-	params.set('limit', String(limit));
-
-	const data = await apiRequest(`/api/projects/${projectId}/tasks?${params}`);
-	const tasks = data.tasks || [];
+	const body = readCommentBody(positionals.body, file);
+	const data = edit
+		? await commentRequest(taskId, edit, { method: 'PATCH', body: JSON.stringify({ body }) })
+		: await apiRequest(`/api/tasks/${taskId}/comments`, {
+			method: 'POST',
+			body: JSON.stringify(replyTo ? { body, parentId: replyTo } : { body })
+		});
 
-	if (tasks.length === 0) {
-		console.log('No tasks found.');
+	if (isJsonOutput()) {
+		printJson({ taskId, comment: commentJson(data?.comment ?? { id: edit, body, parentId: replyTo }) });
 		return;
 	}
+	if (edit) console.log(`Comment ${edit} updated.`);
+	else if (replyTo) console.log(`Reply to ${replyTo} added to task ${taskId}.`);
+	else console.log(`Comment added to task ${taskId}.`);
+}
 
-	console.log(`Found ${tasks.length} task(s)${data.totalCount > tasks.length ? ` of ${data.totalCount} total` : ''}:\n`);
-
-	for (const task of tasks) {
-		const status = task.projectStatus || 'unknown';
-		const assignee = task.assignee ? ` [${task.assignee}]` : '';
-		const complexity = task.complexity && task.complexity !== 'unknown' ? ` (${task.complexity})` : '';
-		console.log(`  ${task.id}  [${status}]${assignee}${complexity}  ${task.title}`);
-		if (task.description) {
-			const desc = task.description.slice(0, 120).replace(/\n/g, ' ');
-			console.log(`           ${desc}${task.description.length > 120 ? '...' : ''}`);
+/**
+ * Get the comment body from the arguments, --file, or stdin ('-').
+ * @param {string[]} words - Body positionals
+ * @param {string | null} file - --file value
+ * @returns {string}
+ */
+function readCommentBody(words, file) {
+	if (file && words.length > 0) {
+		throw cliError('usage', 'Give the comment body as arguments or with --file, not both.');
+	}
+	const source = file || (words.length === 1 && words[0] === '-' ? '-' : null);
+	let body = words.join(' ');
+	if (source) {
+		try {
+			// fd 0 reads piped stdin to the end
+			body = readFileSync(source === '-' ? 0 : source, 'utf-8').trimEnd();
+		} catch (err) {
+			throw new Error(`Cannot read ${source === '-' ? 'stdin' : source}: ${err.message}`);
 		}
 	}
+	if (!body.trim()) {
+		throw cliError('usage', "Missing comment body.\nRun 'lightsprint comment --help' for usage.");
+	}
+	return body;
+}
 
-	if (data.pagination?.hasMore) {
-		console.log(`\n  ... and ${data.totalCount - tasks.length} more. Use --limit to see more.`);
+/**
+ * PATCH or DELETE an existing comment, with clearer errors for missing or
+ * someone else's comments.
+ */
+async function commentRequest(taskId, commentId, init) {
+	try {
+		return await apiRequest(`/api/tasks/${taskId}/comments/${commentId}`, init);
+	} catch (err) {
+		if (err.status === 404) err.message = `Comment ${commentId} not found on task ${taskId}.`;
+		if (err.status === 403) err.message = `Comment ${commentId} is not yours; only your own comments can be changed.`;
+		throw err;
 	}
 }
 
-// ─── create ──────────────────────────────────────────────────────────────
+// ─── comments ────────────────────────────────────────────────────────────
 
-async function cmdCreate(args) {
-	if (args.length === 0) {
-		console.error('Usage: lightsprint create <title> [--description <text>] [--complexity trivial|low|medium|high|critical] [--status todo|in_progress|in_review|done]');
-		process.exit(1);
-	}
+const COMMENTS_ARGS = {
+	name: 'comments',
+	summary: 'List the comments on a task, with replies under the comment they answer',
+	positionals: [{ name: 'taskId', required: true }],
+	json: true,
+	examples: ['lightsprint comments @current']
+};
 
-	const projectId = await getProjectId();
+async function cmdComments({ positionals }) {
+	const taskId = await resolveTaskRef(positionals.taskId);
+	const data = await apiRequest(`/api/tasks/${taskId}/comments`);
+	const comments = data?.comments || [];
 
-	// Parse args: collect title tokens and flags
-	const titleParts = [];
-	let description = null;
-	let complexity = null;
-	let status = 'todo';
-
-	for (let i = 0; i < args.length; i++) {
-		if (args[i] === '--description' && args[i + 1]) {
-			description = args[++i];
-		} else if (args[i] === '--complexity' && args[i + 1]) {
-			complexity = args[++i];
-		} else if (args[i] === '--status' && args[i + 1]) {
-			status = args[++i];
-		} else {
-			titleParts.push(args[i]);
+	if (isJsonOutput()) {
+		printJson({ taskId, comments: comments.map(commentJson) });
+		return;
+	}
+	if (comments.length === 0) {
+		console.log(`No comments on task ${taskId}.`);
+		return;
+	}
+
+	console.log(`Comments on task ${taskId} (${comments.length}):`);
+	for (const { comment, depth } of threadComments(comments)) {
+		const indent = '  '.repeat(depth + 1);
+		const { author, createdAt, updatedAt } = commentJson(comment);
+		const edited = updatedAt && updatedAt !== createdAt ? ' (edited)' : '';
+		console.log('');
+		console.log(`${indent}${comment.id}  ${author || 'unknown'} · ${formatTime(createdAt)}${edited}`);
+		for (const line of String(comment.body || '').split('\n')) {
+			console.log(`${indent}  ${line}`.trimEnd());
 		}
 	}
+}
 
-	const title = titleParts.join(' ');
-	if (!title) {
-		console.error('Error: title is required.');
-		process.exit(1);
+/**
+ * Order comments depth-first so replies follow their parent. Replies to a
+ * deleted comment are shown at the top level.
+ * @param {object[]} comments - In API order (oldest first)
+ * @returns {Array<{ comment: object, depth: number }>}
+ */
+function threadComments(comments) {
+	const ids = new Set(comments.map(c => c.id));
+	const children = new Map();
+	for (const comment of comments) {
+		const parent = comment.parentId && ids.has(comment.parentId) ? comment.parentId : null;
+		if (!children.has(parent)) children.set(parent, []);
+		children.get(parent).push(comment);
 	}
 
-	const body = { title, projectStatus: status };
-	if (description) body.description = description;
-	if (complexity) body.complexity = complexity;
+	const ordered = [];
+	const walk = (parent, depth) => {
+		for (const comment of children.get(parent) || []) {
+			ordered.push({ comment, depth });
+			walk(comment.id, depth + 1);
+		}
+	};
+	walk(null, 0);
+	return ordered;
+}
 
-	const data = await apiRequest(`/api/projects/${projectId}/tasks`, {
-		method: 'POST',
-		body: JSON.stringify(body)
-	});
+// ─── files ───────────────────────────────────────────────────────────────
+
+const FILES_ARGS = {
+	name: 'files',
+	summary: "Show the task's related files (files edited while it was active are added automatically)",
+	positionals: [{ name: 'taskId', required: true }],
+	options: {
+		remove: { type: 'string', placeholder: 'path', multiple: true, summary: 'Remove a file from the list (repeatable)' },
+		prune: { type: 'boolean', summary: 'Remove files that no longer exist in this repo' }
+	},
+	json: true,
+	examples: ['lightsprint files @current --prune']
+};
+
+async function cmdFiles({ positionals, options }) {
+	const { remove, prune } = options;
+	const taskId = await resolveTaskRef(positionals.taskId);
+
+	// Send edits still waiting in the batch so the list is current
+	await flushFiles(taskId);
 
+	const data = await apiRequest(`/api/tasks/${taskId}`);
 	const task = data.task;
-	console.log(`Created task: ${task.title}`);
-	console.log(`ID: ${task.id}`);
-	console.log(`Status: ${task.projectStatus || status}`);
-	if (task.complexity && task.complexity !== 'unknown') {
-		console.log(`Complexity: ${task.complexity}`);
+	if (!task) {
+		throw cliError('not_found', `Task ${taskId} not found`);
 	}
-	if (task.description) {
-		console.log(`\nDescription:\n${task.description}`);
+
+	const json = isJsonOutput();
+	let files = task.relatedFiles || [];
+	let removedPaths = [];
+	if (remove.length > 0 || prune) {
+		const root = getWorktreeRoot(process.cwd()) || process.cwd();
+		const kept = files.filter(f => {
+			const path = relatedFilePath(f);
+			if (remove.includes(path)) return false;
+			return !prune || existsSync(join(root, path));
+		});
+
+		removedPaths = files.filter(f => !kept.includes(f)).map(relatedFilePath);
+		if (removedPaths.length > 0) {
+			await apiRequest(`/api/tasks/${taskId}`, {
+				method: 'PATCH',
+				body: JSON.stringify({ relatedFiles: kept })
+			});
+		}
+		if (!json) {
+			console.log(`Removed ${removedPaths.length} file(s).`);
+			for (const path of remove) {
+				if (!files.some(f => relatedFilePath(f) === path)) console.log(`Not in the list: ${path}`);
+			}
+		}
+		files = kept;
 	}
 
-	console.log(`\nTo link this task in Claude Code, create a task with:`);
-	console.log(`  metadata: { lightsprint_task_id: "${task.id}" }`);
+	if (json) {
+		printJson({
+			task: taskJson({ ...task, relatedFiles: files }),
+			relatedFiles: files.map(relatedFilePath),
+			removed: removedPaths
+		});
+		return;
+	}
+
+	if (files.length === 0) {
+		console.log(`No related files for task ${taskId}.`);
+		return;
+	}
+	console.log(`Related files for ${task.title} (${files.length}):`);
+	for (const f of files) {
+		console.log(`  - ${relatedFilePath(f)}`);
+	}
 }
 
-// ─── update ──────────────────────────────────────────────────────────────
+// ─── todo ────────────────────────────────────────────────────────────────
+
+const TODO_ITEM = { name: 'item', required: true, variadic: true };
+
+const TODO_ARGS = {
+	name: 'todo',
+	summary: "Manage a task's todo list",
+	positionals: [{ name: 'taskId', required: true }],
+	defaultSubcommand: 'list',
+	subcommands: {
+		list: { summary: 'Show the todo list' },
+		add: {
+			summary: 'Add an item',
+			positionals: [{ name: 'text', required: true, variadic: true }],
+			options: { at: { type: 'number', placeholder: 'N', summary: 'Insert at position N (default: at the end)', parse: positiveInteger('at') } }
+		},
+		check: { summary: 'Mark items done', positionals: [TODO_ITEM] },
+		uncheck: { summary: 'Mark items not done', positionals: [TODO_ITEM] },
+		remove: { summary: 'Remove items', aliases: ['rm'], positionals: [TODO_ITEM] },
+		reorder: {
+			summary: 'Move an item to position N',
+			aliases: ['move'],
+			positionals: [{ name: 'item', required: true }, { name: 'position', required: true }]
+		}
+	},
+	json: true,
+	notes: [
+		'Items are picked by position (2, or 1,3 for several) or by text: the item',
+		'with that text, else the only item containing it.'
+	],
+	examples: [
+		'lightsprint todo @current add "Write migration tests"',
+		'lightsprint todo @current check 2',
+		'lightsprint todo @current uncheck migration',
+		'lightsprint todo abc123 reorder "Write migration tests" 1'
+	]
+};
+
+async function cmdTodo({ subcommand: sub, positionals, options }) {
+	const taskId = await resolveTaskRef(positionals.taskId);
 
-async function cmdUpdate(args) {
-	const taskId = args[0];
-	if (!taskId || taskId.startsWith('--')) {
-		console.error('Usage: lightsprint update <taskId> [--title <text>] [--description <text>] [--status todo|in_progress|in_review|done] [--complexity trivial|low|medium|high|critical] [--assignee <name>]');
-		process.exit(1);
+	const data = await apiRequest(`/api/tasks/${taskId}`);
+	const task = data?.task;
+	if (!task) {
+		throw cliError('not_found', `Task ${taskId} not found`);
 	}
 
-	// Parse flags
-	const patch = {};
-	for (let i = 1; i < args.length; i++) {
-		if (args[i] === '--title' && args[i + 1]) {
-			patch.title = args[++i];
-		} else if (args[i] === '--description' && args[i + 1]) {
-			patch.description = args[++i];
-		} else if (args[i] === '--status' && args[i + 1]) {
-			patch.projectStatus = args[++i];
-		} else if (args[i] === '--complexity' && args[i + 1]) {
-			patch.complexity = args[++i];
-		} else if (args[i] === '--assignee' && args[i + 1]) {
-			patch.assignee = args[++i];
+	const todoList = (task.todoList || []).map(item => ({ ...item }));
+	const before = JSON.stringify(todoList);
+	const messages = [];
+
+	switch (sub) {
+		case 'add': {
+			const text = positionals.text.join(' ').trim();
+			const index = options.at ? Math.min(options.at - 1, todoList.length) : todoList.length;
+			todoList.splice(index, 0, { text, completed: false });
+			messages.push(`Added #${index + 1}: ${text}`);
+			break;
+		}
+		case 'check':
+		case 'uncheck': {
+			const completed = sub === 'check';
+			for (const index of findTodoItems(todoList, positionals.item.join(' '))) {
+				todoList[index].completed = completed;
+				messages.push(`${completed ? 'Checked' : 'Unchecked'} #${index + 1}: ${todoList[index].text}`);
+			}
+			break;
+		}
+		case 'remove': {
+			const indexes = findTodoItems(todoList, positionals.item.join(' '));
+			for (const index of [...indexes].sort((a, b) => b - a)) {
+				const [item] = todoList.splice(index, 1);
+				messages.unshift(`Removed: ${item.text}`);
+			}
+			break;
+		}
+		case 'reorder': {
+			const indexes = findTodoItems(todoList, positionals.item);
+			if (indexes.length > 1) {
+				throw cliError('usage', 'reorder moves one item at a time.');
+			}
+			const position = Number(positionals.position);
+			if (!Number.isInteger(position) || position < 1 || position > todoList.length) {
+				throw cliError('usage', `Position must be a number from 1 to ${todoList.length}.`);
+			}
+			const [item] = todoList.splice(indexes[0], 1);
+			todoList.splice(position - 1, 0, item);
+			messages.push(`Moved to #${position}: ${item.text}`);
+			break;
 		}
 	}
 
-	if (Object.keys(patch).length === 0) {
-		console.error('Error: at least one field to update is required.');
-		process.exit(1);
+	if (JSON.stringify(todoList) !== before) {
+		await apiRequest(`/api/tasks/${taskId}`, {
+			method: 'PATCH',
+			body: JSON.stringify({ todoList })
+		});
 	}
 
-	await apiRequest(`/api/tasks/${taskId}`, {
-		method: 'PATCH',
-		body: JSON.stringify(patch)
-	});
-
-	// Fetch updated task to confirm
-	const data = await apiRequest(`/api/tasks/${taskId}`);
-	const task = data.task;
+	if (isJsonOutput()) {
+		printJson({ taskId, todoList: todoList.map(todoItemJson) });
+		return;
+	}
 
-	console.log(`Updated task: ${task.title}`);
-	console.log(`ID: ${task.id}`);
-	console.log(`Status: ${task.projectStatus || 'unknown'}`);
-	if (task.assignee) console.log(`Assignee: ${task.assignee}`);
-	if (task.complexity && task.complexity !== 'unknown') {
-		console.log(`Complexity: ${task.complexity}`);
+	for (const message of messages) console.log(message);
+	if (messages.length > 0) console.log('');
+	if (todoList.length === 0) {
+		console.log(`No todo items for task ${taskId}.`);
+		return;
 	}
-	if (task.description) {
-		const desc = task.description.slice(0, 200).replace(/\n/g, ' ');
-		console.log(`Description: ${desc}${task.description.length > 200 ? '...' : ''}`);
+	const done = todoList.filter(item => item.completed).length;
+	console.log(`Todo list for ${task.title} (${done}/${todoList.length} done):`);
+	for (const [index, item] of todoList.entries()) {
+		console.log(`  ${String(index + 1).padStart(2)}. ${item.completed ? '[x]' : '[ ]'} ${item.text}`);
 	}
 }
 
-// ─── get ─────────────────────────────────────────────────────────────────
-
-async function cmdGet(args) {
-	const taskId = args[0];
-	if (!taskId) {
-		console.error('Usage: lightsprint get <taskId>');
-		process.exit(1);
+// ─── scan-todos ──────────────────────────────────────────────────────────
+
+const SCAN_TODOS_ARGS = {
+	name: 'scan-todos',
+	summary: 'Create tasks from TODO / FIXME / HACK comments in git-tracked files',
+	positionals: [{ name: 'paths', variadic: true }],
+	options: {
+		markers: { type: 'string', placeholder: 'marker', list: true, summary: `Markers to look for (default: ${MARKERS.join(',')})`, parse: markerWord },
+		status: statusOption('Status of created tasks (default: todo)'),
+		'dry-run': { type: 'boolean', summary: 'List new and removed comments without changing anything' },
+		'close-removed': { type: 'boolean', summary: 'Mark tasks done when their comment is gone, without asking' }
+	},
+	json: true,
+	notes: [
+		'Each new comment becomes a task with the file as a related file and the',
+		'surrounding lines in the description. Imported comments are remembered by a',
+		'hash of their file, marker and text, so scanning again skips them. When an',
+		'imported comment is gone, scan-todos offers to mark its task done.'
+	],
+	examples: [
+		'lightsprint scan-todos --dry-run',
+		'lightsprint scan-todos src --markers FIXME,HACK',
+		'lightsprint scan-todos --close-removed'
+	]
+};
+
+async function cmdScanTodos({ positionals, options }) {
+	const { status, dryRun, closeRemoved } = options;
+	const markers = options.markers.length > 0 ? options.markers : MARKERS;
+
+	const root = getWorktreeRoot(process.cwd());
+	if (!root) {
+		throw new Error('scan-todos must be run inside a git repository.');
+	}
+	const column = resolveStatus(status || 'todo');
+	const projectId = await getProjectId();
+	const scan = scanMarkers(root, positionals.paths, { markers });
+	const imported = importedMarkers(projectId);
+
+	const found = scan.markers.map(m => ({ ...m, taskId: imported[m.hash]?.taskId ?? null }));
+	const known = found.filter(m => m.taskId);
+	const fresh = found.filter(m => !m.taskId);
+	const seen = new Set(found.map(m => m.hash));
+	const removed = Object.entries(imported)
+		.filter(([hash, entry]) => !seen.has(hash) && markers.includes(entry.marker) && inScope(entry.path, scan.scopes))
+		.map(([hash, entry]) => ({ hash, ...entry }));
+
+	if (!dryRun) {
+		for (const m of fresh) {
+			try {
+				const data = await apiRequest(`/api/projects/${projectId}/tasks`, {
+					method: 'POST',
+					body: JSON.stringify({ ...markerTask(m), ...statusPatch(column) }),
+					// A replayed create would leave the marker unrecorded; re-run the scan instead
+					queue: false
+				});
+				m.taskId = data.task.id;
+				// Record each one right away so an interrupted scan doesn't duplicate
+				recordMarkers(projectId, [m]);
+			} catch (err) {
+				m.error = err.message;
+			}
+		}
+		// Keep line numbers current for comments that moved
+		recordMarkers(projectId, known);
 	}
+	if (fresh.some(m => m.error)) process.exitCode = 1;
 
-	const data = await apiRequest(`/api/tasks/${taskId}`);
-	const task = data.task;
+	const json = isJsonOutput();
+	if (!json) {
+		printScanSummary(scan.files, found, fresh, dryRun);
+	}
 
-	if (!task) {
-		console.error(`Task ${taskId} not found`);
-		process.exit(1);
+	let close = closeRemoved && !dryRun;
+	if (removed.length > 0 && !json) {
+		console.log(`\nGone from the code (${removed.length}):`);
+		for (const r of removed) {
+			console.log(`  ${r.taskId}  ${r.marker.padEnd(5)}  ${r.path}  ${r.text}`);
+		}
+		if (!dryRun && !closeRemoved) {
+			if (process.stdin.isTTY && process.stdout.isTTY) {
+				close = await confirm(`Mark ${removed.length} task(s) done?`);
+			} else {
+				console.log('Run with --close-removed to mark them done.');
+			}
+		}
 	}
 
-	console.log(`Title: ${task.title}`);
-	console.log(`ID: ${task.id}`);
-	console.log(`Status: ${task.projectStatus || 'unknown'}`);
-	if (task.assignee) console.log(`Assignee: ${task.assignee}`);
-	if (task.complexity && task.complexity !== 'unknown') {
-		console.log(`Complexity: ${task.complexity}`);
+	if (close) {
+		const done = statusPatch(resolveStatus('done'));
+		for (const r of removed) {
+			try {
+				await apiRequest(`/api/tasks/${r.taskId}`, { method: 'PATCH', body: JSON.stringify(done) });
+				r.closed = true;
+			} catch (err) {
+				r.error = err.message;
+				// A deleted task has nothing left to close
+				r.forget = err.status === 404;
+			}
+		}
+		forgetMarkers(projectId, removed.filter(r => r.closed || r.forget).map(r => r.hash));
+		if (!json) {
+			const closed = removed.filter(r => r.closed).length;
+			console.log(`Marked ${closed} task(s) done.`);
+			for (const r of removed.filter(r => r.error)) console.log(`  ${r.taskId}: ${r.error}`);
+		}
 	}
-	if (task.description) {
-		console.log(`\nDescription:\n${task.description}`);
+
+	if (json) {
+		const markerJson = ({ hash, marker, path, line, text, taskId, error }) =>
+			({ hash, marker, path, line, text, taskId, ...(error ? { error } : {}) });
+		printJson({
+			dryRun,
+			files: scan.files,
+			created: fresh.map(markerJson),
+			known: known.map(markerJson),
+			removed: removed.map(({ hash, marker, path, line, text, taskId, closed, error }) =>
+				({ hash, marker, path, line, text, taskId, closed: Boolean(closed), ...(error ? { error } : {}) }))
+		});
 	}
-	if (task.todoList && task.todoList.length > 0) {
-		console.log(`\nTodo list:`);
-		for (const item of task.todoList) {
-			console.log(`  ${item.completed ? '[x]' : '[ ]'} ${item.text}`);
+}
+
+function printScanSummary(files, found, fresh, dryRun) {
+	console.log(`Scanned ${files} file(s): ${found.length} comment(s), ${fresh.length} new.`);
+	if (fresh.length > 0) {
+		console.log(dryRun ? '\nWould create:' : '\nCreated:');
+		for (const m of fresh) {
+			const id = m.error ? 'failed' : (m.taskId || '');
+			console.log(`  ${id ? `${id}  ` : ''}${m.marker.padEnd(5)}  ${m.path}:${m.line}  ${m.text}`);
+			if (m.error) console.log(`    ${m.error}`);
 		}
 	}
-	if (task.relatedFiles && task.relatedFiles.length > 0) {
-		console.log(`\nRelated files:`);
-		for (const f of task.relatedFiles) {
-			const path = typeof f === 'string' ? f : f.path;
-			console.log(`  - ${path}`);
+}
+
+// ─── map ─────────────────────────────────────────────────────────────────
+
+const SESSION_OPTION = { type: 'string', placeholder: 'id', summary: 'Claude Code session ID' };
+const ALL_PROJECTS_OPTION = { type: 'boolean', summary: 'Include every project' };
+
+const MAP_ARGS = {
+	name: 'map',
+	summary: 'Inspect and repair Claude Code ↔ Lightsprint task links',
+	defaultSubcommand: 'list',
+	subcommands: {
+		list: {
+			summary: 'List links for this project',
+			options: { session: SESSION_OPTION, all: ALL_PROJECTS_OPTION }
+		},
+		get: {
+			summary: 'Find links by Claude Code or Lightsprint task ID',
+			positionals: [{ name: 'id', required: true }],
+			options: { all: ALL_PROJECTS_OPTION }
+		},
+		set: {
+			summary: 'Add or repair a link',
+			positionals: [{ name: 'ccTaskId', required: true }, { name: 'lsTaskId', required: true }],
+			options: { session: { ...SESSION_OPTION, summary: 'Claude Code session ID (required)' } }
+		},
+		rm: {
+			aliases: ['remove'],
+			summary: 'Remove a link, or every link to a Lightsprint task with --ls',
+			positionals: [{ name: 'ccTaskId' }],
+			options: {
+				session: SESSION_OPTION,
+				ls: { type: 'string', placeholder: 'lsTaskId', summary: 'Remove every link to this Lightsprint task' },
+				all: ALL_PROJECTS_OPTION
+			}
+		},
+		prune: {
+			summary: 'Remove links older than N days',
+			options: { days: { type: 'number', placeholder: 'N', default: DEFAULT_MAX_AGE_DAYS, summary: 'Age in days', parse: nonNegative('days') } }
+		}
+	},
+	examples: ['lightsprint map get abc123', 'lightsprint map set 3 abc123 --session 5f1c…']
+};
+
+function cmdMap({ subcommand: sub, positionals, options }) {
+	const { session: sessionId = null, ls: lsTaskId = null, days = DEFAULT_MAX_AGE_DAYS, all = false } = options;
+
+	// Scope to the connected project; fall back to every project when not connected
+	const projectId = all ? undefined : getConfig(process.cwd())?.projectId;
+
+	switch (sub) {
+		case 'list': {
+			const entries = listMappings({ projectId, sessionId: sessionId || undefined });
+			if (entries.length === 0) {
+				console.log('No task links found.');
+				return;
+			}
+			console.log(`Found ${entries.length} link(s):\n`);
+			printMappings(entries);
+			return;
+		}
+		case 'get': {
+			const { id } = positionals;
+			const entries = [
+				...listMappings({ projectId }).filter(e => e.ccTaskId === id),
+				...getByLsId(id, { projectId })
+			];
+			if (entries.length === 0) {
+				console.log(`No links found for ${id}.`);
+				return;
+			}
+			printMappings(entries);
+			return;
+		}
+		case 'set': {
+			const { ccTaskId, lsTaskId: targetId } = positionals;
+			if (!sessionId) {
+				throw cliError('usage', 'Usage: lightsprint map set <ccTaskId> <lsTaskId> --session <sessionId>');
+			}
+			if (!projectId) {
+				throw cliError('not_connected', 'this folder is not connected to Lightsprint. Run: lightsprint connect');
+			}
+			const previous = getByCcId(ccTaskId, { projectId, sessionId });
+			setMapping(ccTaskId, targetId, { projectId, sessionId, folder: process.cwd() });
+			console.log(previous && previous.lsTaskId !== targetId
+				? `Relinked ${ccTaskId}: ${previous.lsTaskId} → ${targetId}`
+				: `Linked ${ccTaskId} → ${targetId}`);
+			return;
+		}
+		case 'rm': {
+			let removed;
+			if (lsTaskId) {
+				removed = removeByLsId(lsTaskId, { projectId });
+			} else if (positionals.ccTaskId) {
+				removed = removeMapping(positionals.ccTaskId, { projectId, sessionId: sessionId || undefined });
+			} else {
+				throw cliError('usage', 'Usage: lightsprint map rm <ccTaskId> [--session <sessionId>] | --ls <lsTaskId>');
+			}
+			console.log(`Removed ${removed} link(s).`);
+			return;
+		}
+		case 'prune': {
+			const removed = pruneMappings(days);
+			console.log(`Pruned ${removed} link(s) older than ${days} day(s).`);
+			return;
 		}
 	}
 }
 
-// ─── claim ───────────────────────────────────────────────────────────────
-
-async function cmdClaim(args) {
-	const taskId = args[0];
-	if (!taskId) {
-		console.error('Usage: lightsprint claim <taskId>');
-		process.exit(1);
+function printMappings(entries) {
+	for (const e of entries) {
+		const session = e.sessionId === '_unscoped' ? 'unscoped' : e.sessionId;
+		console.log(`  ${e.ccTaskId} → ${e.lsTaskId}  session: ${session}  updated: ${e.updatedAt || 'unknown'}`);
 	}
+}
 
-	// Set task to in_progress
-	await apiRequest(`/api/tasks/${taskId}`, {
-		method: 'PATCH',
-		body: JSON.stringify({ projectStatus: 'in_progress' })
-	});
-
-	// Get full task details
-	const data = await apiRequest(`/api/tasks/${taskId}`);
-	const task = data.task;
+// ─── sync ────────────────────────────────────────────────────────────────
+
+const SYNC_ARGS = {
+	name: 'sync',
+	summary: 'Replay writes queued in the offline outbox, in order',
+	options: {
+		'dry-run': { type: 'boolean', summary: 'List pending writes without sending them' },
+		force: { type: 'boolean', summary: 'Replay even if the task changed on the server since queueing' },
+		drop: { type: 'string', placeholder: 'id', summary: 'Discard one pending write (ID prefix)' },
+		clear: { type: 'boolean', summary: 'Discard all pending writes' },
+		all: { type: 'boolean', summary: 'Include writes queued from every folder' }
+	},
+	examples: ['lightsprint sync --dry-run', 'lightsprint sync']
+};
+
+async function cmdSync({ options }) {
+	const { dryRun, force, clear, all, drop } = options;
+
+	const cfg = getConfig(process.cwd());
+	if (!cfg && !all) {
+		console.log('Not connected to Lightsprint. Use --all to replay writes queued from other folders.');
+		return;
+	}
 
-	if (!task) {
-		console.error(`Task ${taskId} not found`);
-		process.exit(1);
+	const entries = listOutbox(all ? {} : { folder: cfg.folder });
+	if (entries.length === 0) {
+		console.log('Outbox is empty — nothing to sync.');
+		return;
 	}
 
-	console.log(`Claimed task: ${task.title}`);
-	console.log(`ID: ${task.id}`);
-	console.log(`Status: in_progress`);
-	if (task.description) {
-		console.log(`\nDescription:\n${task.description}`);
+	if (drop || clear) {
+		const targets = clear ? entries : entries.filter(e => e.id.startsWith(drop));
+		if (targets.length === 0) {
+			throw cliError('not_found', `No pending write matches ${drop}.`);
+		}
+		for (const entry of targets) {
+			removeEntry(entry);
+			console.log(`Discarded: ${describeOutboxEntry(entry)}`);
+		}
+		return;
 	}
-	if (task.todoList && task.todoList.length > 0) {
-		console.log(`\nTodo list:`);
-		for (const item of task.todoList) {
-			console.log(`  ${item.completed ? '[x]' : '[ ]'} ${item.text}`);
+
+	if (dryRun) {
+		console.log(`${entries.length} pending write(s):\n`);
+		for (const entry of entries) {
+			console.log(`  ${describeOutboxEntry(entry)}`);
+			if (entry.conflict) console.log(`           conflict: ${entry.conflict}`);
+			else if (entry.lastError) console.log(`           last error: ${entry.lastError}`);
 		}
+		return;
 	}
-	if (task.relatedFiles && task.relatedFiles.length > 0) {
-		console.log(`\nRelated files:`);
-		for (const f of task.relatedFiles) {
-			const path = typeof f === 'string' ? f : f.path;
-			console.log(`  - ${path}`);
+
+	let synced = 0;
+	let conflicts = 0;
+	let folder;
+	const touched = new Set();
+
+	for (const entry of entries) {
+		// Each write goes out with the credentials of the folder it was queued from
+		if (entry.folder !== folder) {
+			const folderCfg = entry.folder ? getConfig(entry.folder) : cfg;
+			if (!folderCfg) {
+				console.log(`  ✗ ${describeOutboxEntry(entry)} — ${entry.folder} is no longer connected`);
+				conflicts++;
+				continue;
+			}
+			setConfig(folderCfg);
+			folder = entry.folder;
+		}
+
+		const taskId = entry.path.match(/^\/api\/tasks\/([^/]+)/)?.[1];
+		try {
+			if (!force && entry.method === 'PATCH' && taskId && !touched.has(taskId)) {
+				const conflict = await findOutboxConflict(taskId, entry);
+				if (conflict) {
+					updateEntry({ ...entry, conflict });
+					console.log(`  ✗ ${describeOutboxEntry(entry)} — conflict: ${conflict}`);
+					conflicts++;
+					continue;
+				}
+			}
+
+			await apiRequest(entry.path, {
+				method: entry.method,
+				body: entry.body ?? undefined,
+				idempotencyKey: entry.id,
+				queue: false
+			});
+			removeEntry(entry);
+			if (taskId) touched.add(taskId);
+			console.log(`  ✓ ${describeOutboxEntry(entry)}`);
+			synced++;
+		} catch (err) {
+			updateEntry({ ...entry, attempts: (entry.attempts || 0) + 1, lastError: err.message });
+			if (err.status && err.status < 500) {
+				// Rejected by the server — keep it for review, carry on with the rest
+				console.log(`  ✗ ${describeOutboxEntry(entry)} — rejected: ${err.message}`);
+				conflicts++;
+				continue;
+			}
+			console.log(`  ✗ ${describeOutboxEntry(entry)} — ${err.message}`);
+			console.log('\nLightsprint is still unreachable; stopping to keep writes in order.');
+			break;
 		}
 	}
-	if (task.complexity && task.complexity !== 'unknown') {
-		console.log(`Complexity: ${task.complexity}`);
+
+	const remaining = entries.length - synced;
+	console.log(`\nSynced ${synced} write(s)${conflicts ? `, ${conflicts} conflict(s)` : ''}${remaining ? `, ${remaining} still pending` : ''}.`);
+	if (conflicts) {
+		console.log(`Review conflicts with 'lightsprint sync --dry-run', then replay with --force or discard with --drop <id>.`);
 	}
+}
 
-	console.log(`\nTo link this task in Claude Code, create a task with:`);
-	console.log(`  metadata: { lightsprint_task_id: "${task.id}" }`);
+/**
+ * Check whether a queued task PATCH would overwrite newer server changes.
+ * @returns {Promise<string | null>} Conflict description, or null if safe to replay
+ */
+async function findOutboxConflict(taskId, entry) {
+	let task;
+	try {
+		task = (await apiRequest(`/api/tasks/${taskId}`))?.task;
+	} catch (err) {
+		if (err.status === 404) return 'task no longer exists';
+		throw err;
+	}
+	if (!task) return 'task no longer exists';
+	if (task.updatedAt && task.updatedAt > entry.queuedAt) {
+		return `task changed on the server at ${task.updatedAt} (queued ${entry.queuedAt})`;
+	}
+	return null;
 }
 
-// ─── comment ─────────────────────────────────────────────────────────────
+function describeOutboxEntry(entry) {
+	return `${entry.id.slice(0, 8)}  ${entry.method} ${entry.path}  queued ${entry.queuedAt}`;
+}
 
-async function cmdComment(args) {
-	const taskId = args[0];
-	const body = args.slice(1).join(' ');
+// ─── git-hooks ───────────────────────────────────────────────────────────
+
+const GIT_HOOK_NAMES = ['prepare-commit-msg', 'post-commit'];
+const GIT_HOOK_MARKER = '# lightsprint-managed-hook';
+const GIT_HOOK_BACKUP_SUFFIX = '.pre-lightsprint';
+
+function gitHookScript(name) {
+	return `#!/bin/sh
+${GIT_HOOK_MARKER} — remove with 'lightsprint git-hooks uninstall'
+HOOK_DIR=$(dirname "$0")
+if [ -x "$HOOK_DIR/${name}${GIT_HOOK_BACKUP_SUFFIX}" ]; then
+  "$HOOK_DIR/${name}${GIT_HOOK_BACKUP_SUFFIX}" "$@" || exit $?
+fi
+LIGHTSPRINT="\${LIGHTSPRINT_BIN:-lightsprint}"
+command -v "$LIGHTSPRINT" >/dev/null 2>&1 || exit 0
+"$LIGHTSPRINT" git-hook ${name} "$@" || true
+exit 0
+`;
+}
 
-	if (!taskId || !body) {
-		console.error('Usage: lightsprint comment <taskId> <body>');
-		process.exit(1);
+function isManagedHook(path) {
+	try {
+		return readFileSync(path, 'utf-8').includes(GIT_HOOK_MARKER);
+	} catch {
+		return false;
 	}
+}
 
-	await apiRequest(`/api/tasks/${taskId}/comments`, {
-		method: 'POST',
-		body: JSON.stringify({ body })
-	});
+const GIT_HOOKS_ARGS = {
+	name: 'git-hooks',
+	summary: 'Manage git hooks that link commits to the active task',
+	defaultSubcommand: 'status',
+	subcommands: {
+		install: {
+			summary: 'Install the prepare-commit-msg and post-commit hooks',
+			options: { force: { type: 'boolean', summary: 'Install over existing hooks (they are kept and run first)' } }
+		},
+		uninstall: { summary: 'Remove the hooks and restore any originals' },
+		status: { summary: 'Show which hooks are installed' }
+	},
+	notes: [
+		'prepare-commit-msg adds a Lightsprint-Task trailer; post-commit posts the',
+		'commit SHA, subject and diffstat to that task.'
+	],
+	examples: ['lightsprint git-hooks install']
+};
+
+function cmdGitHooks({ subcommand: sub, options }) {
+	const force = Boolean(options.force);
+
+	const hooksDir = getGitPath('hooks');
+	if (!hooksDir) {
+		throw new Error('git-hooks must be run inside a git repository.');
+	}
+	if (existsSync(hooksDir) && !statSync(hooksDir).isDirectory()) {
+		throw new Error(`git hooks path ${hooksDir} is not a directory (check core.hooksPath).`);
+	}
+
+	switch (sub) {
+		case 'install': {
+			mkdirSync(hooksDir, { recursive: true });
+			const blocked = GIT_HOOK_NAMES.filter(name => {
+				const path = join(hooksDir, name);
+				return existsSync(path) && !isManagedHook(path);
+			});
+			if (blocked.length > 0 && !force) {
+				throw new Error(`existing hook(s) found: ${blocked.join(', ')}\n` +
+					'Re-run with --force to install anyway (existing hooks are kept and run first).');
+			}
+			for (const name of GIT_HOOK_NAMES) {
+				const path = join(hooksDir, name);
+				if (blocked.includes(name)) {
+					renameSync(path, path + GIT_HOOK_BACKUP_SUFFIX);
+					console.log(`Kept existing ${name} as ${name}${GIT_HOOK_BACKUP_SUFFIX}`);
+				}
+				writeFileSync(path, gitHookScript(name), { mode: 0o755 });
+				chmodSync(path, 0o755);
+				console.log(`Installed ${path}`);
+			}
+			console.log('\nCommits made while a task is claimed will now be linked to it.');
+			return;
+		}
+		case 'uninstall': {
+			for (const name of GIT_HOOK_NAMES) {
+				const path = join(hooksDir, name);
+				if (!isManagedHook(path)) continue;
+				unlinkSync(path);
+				console.log(`Removed ${path}`);
+				if (existsSync(path + GIT_HOOK_BACKUP_SUFFIX)) {
+					renameSync(path + GIT_HOOK_BACKUP_SUFFIX, path);
+					console.log(`Restored original ${name}`);
+				}
+			}
+			return;
+		}
+		case 'status': {
+			for (const name of GIT_HOOK_NAMES) {
+				const path = join(hooksDir, name);
+				const state = isManagedHook(path)
+					? 'installed'
+					: existsSync(path) ? 'not installed (another hook exists)' : 'not installed';
+				console.log(`${name.padEnd(20)} ${state}`);
+			}
+			return;
+		}
+	}
+}
 
-	console.log(`Comment added to task ${taskId}.`);
+// ─── link-commit ─────────────────────────────────────────────────────────
+
+const LINK_COMMIT_ARGS = {
+	name: 'link-commit',
+	summary: "Post a commit's SHA, subject and diffstat to a task (manual backfill)",
+	positionals: [{ name: 'sha', required: true }, { name: 'taskId', required: true }],
+	examples: ['lightsprint link-commit 1a2b3c4 abc123']
+};
+
+async function cmdLinkCommit({ positionals }) {
+	const { sha } = positionals;
+	const taskId = await resolveTaskRef(positionals.taskId);
+	const commit = await linkCommit(sha, taskId);
+	console.log(`Linked commit ${commit.shortSha} (${commit.subject}) to task ${taskId}.`);
 }
 
 // ─── whoami ──────────────────────────────────────────────────────────────
 
+const WHOAMI_ARGS = {
+	name: 'whoami',
+	summary: 'Display current project and authentication info',
+	json: true
+};
+
 async function cmdWhoami() {
 	const info = await getProjectInfo();
+	if (isJsonOutput()) {
+		printJson({
+			project: { id: info.project.id, name: info.project.name, fullName: info.project.fullName ?? null },
+			scopes: info.scopes,
+			user: info.user ?? null
+		});
+		return;
+	}
+
 	console.log(`Project: ${info.project.name}`);
 	if (info.project.fullName) console.log(`Repository: ${info.project.fullName}`);
 	console.log(`Project ID: ${info.project.id}`);
@@ -409,10 +2481,28 @@ async function cmdWhoami() {
 
 // ─── status ──────────────────────────────────────────────────────────────
 
+const STATUS_ARGS = {
+	name: 'status',
+	summary: 'Show Lightsprint connection status for the current folder',
+	json: true
+};
+
 function cmdStatus() {
 	const cwd = process.cwd();
 	const cfg = getConfig(cwd);
 
+	if (isJsonOutput()) {
+		printJson(cfg ? {
+			connected: true,
+			project: { id: cfg.projectId, name: cfg.projectName || null },
+			folder: cfg.folder,
+			baseUrl: cfg.baseUrl,
+			token: cfg.expiresAt ? { expiresAt: new Date(cfg.expiresAt).toISOString(), expired: cfg.expiresAt <= Date.now() } : null,
+			outbox: countOutbox({ folder: cfg.folder })
+		} : { connected: false, folder: cwd });
+		return;
+	}
+
 	if (!cfg) {
 		console.log('Not connected to Lightsprint.\n');
 		console.log('To get started:\n');
@@ -439,22 +2529,35 @@ function cmdStatus() {
 			console.log(`Token:      valid (${hours}h ${mins}m remaining)`);
 		}
 	}
+
+	const pending = countOutbox({ folder: cfg.folder });
+	if (pending > 0) {
+		console.log(`Outbox:     ${pending} pending write(s) — run 'lightsprint sync'`);
+	}
 }
 
 // ─── connect ─────────────────────────────────────────────────────────────
 
-async function cmdConnect(args) {
-	let baseUrl = null;
-	for (let i = 0; i < args.length; i++) {
-		if (args[i] === '--base-url' && args[i + 1]) {
-			baseUrl = args[++i];
-		}
-	}
-	await authenticate(baseUrl || getDefaultBaseUrl());
+const CONNECT_ARGS = {
+	name: 'connect',
+	summary: 'Authenticate and connect to Lightsprint',
+	options: {
+		'base-url': { type: 'string', placeholder: 'url', summary: 'Connect to a custom Lightsprint instance' }
+	},
+	examples: ['lightsprint connect', 'lightsprint connect --base-url https://staging.lightsprint.ai']
+};
+
+async function cmdConnect({ options }) {
+	await authenticate(options.baseUrl || getDefaultBaseUrl());
 }
 
 // ─── disconnect ──────────────────────────────────────────────────────
 
+const DISCONNECT_ARGS = {
+	name: 'disconnect',
+	summary: 'Remove Lightsprint credentials for the current folder'
+};
+
 async function cmdDisconnect() {
 	const projects = readProjectsFile();
 	const cwd = process.cwd();
@@ -486,6 +2589,11 @@ async function cmdDisconnect() {
 const UPGRADE_REPO = 'SprintsAI/lightsprint-claude-code-plugin';
 const UPGRADE_BINARY = 'lightsprint';
 
+const UPGRADE_ARGS = {
+	name: 'upgrade',
+	summary: 'Download and install the latest version from GitHub releases'
+};
+
 async function cmdUpgrade(currentVersion) {
 	const platform = process.platform;  // darwin, linux, win32
 	const arch = process.arch;          // x64, arm64
@@ -587,13 +2695,162 @@ async function cmdUpgrade(currentVersion) {
 
 // ─── helpers ─────────────────────────────────────────────────────────────
 
-function statusToColumnName(status) {
-	const map = {
-		'todo': 'Todo',
-		'in_progress': 'In Progress',
-		'in_review': 'In Review',
-		'done': 'Done'
+// Argument specs by command, see lib/args.js
+const COMMAND_ARGS = {
+	tasks: TASKS_ARGS,
+	board: BOARD_ARGS,
+	export: EXPORT_ARGS,
+	watch: WATCH_ARGS,
+	create: CREATE_ARGS,
+	import: IMPORT_ARGS,
+	update: UPDATE_ARGS,
+	get: GET_ARGS,
+	claim: CLAIM_ARGS,
+	current: CURRENT_ARGS,
+	release: RELEASE_ARGS,
+	switch: SWITCH_ARGS,
+	review: REVIEW_ARGS,
+	done: DONE_ARGS,
+	'pr-body': PR_BODY_ARGS,
+	comment: COMMENT_ARGS,
+	comments: COMMENTS_ARGS,
+	files: FILES_ARGS,
+	todo: TODO_ARGS,
+	'scan-todos': SCAN_TODOS_ARGS,
+	map: MAP_ARGS,
+	sync: SYNC_ARGS,
+	'git-hooks': GIT_HOOKS_ARGS,
+	'link-commit': LINK_COMMIT_ARGS,
+	whoami: WHOAMI_ARGS,
+	status: STATUS_ARGS,
+	connect: CONNECT_ARGS,
+	disconnect: DISCONNECT_ARGS,
+	upgrade: UPGRADE_ARGS
+};
+
+/**
+ * A --status option: accepts a status key or column name from the status mapping.
+ * @param {string} summary
+ * @returns {object} Option spec
+ */
+function statusOption(summary) {
+	return {
+		type: 'string',
+		placeholder: 'status',
+		summary,
+		valueHint: () => statusKeys(),
+		parse: value => resolveStatus(value).key
+	};
+}
+
+function markerWord(value) {
+	if (!/^[A-Za-z]+$/.test(value)) {
+		throw cliError('usage', `Invalid marker "${value}": use a word such as TODO.`);
+	}
+	return value.toUpperCase();
+}
+
+/**
+ * Quote a value for a POSIX shell command line.
+ * @param {string} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+	return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Ask a yes/no question on the terminal. Anything but yes is no.
+ * @param {string} question
+ * @returns {Promise<boolean>}
+ */
+async function confirm(question) {
+	const rl = createInterface({ input: process.stdin, output: process.stdout });
+	try {
+		const answer = await rl.question(`${question} [y/N] `);
+		return /^y(es)?$/i.test(answer.trim());
+	} finally {
+		rl.close();
+	}
+}
+
+function positiveInteger(flag) {
+	return value => {
+		if (!Number.isInteger(value) || value < 1) {
+			throw cliError('usage', `--${flag} must be a positive integer.`);
+		}
+		return value;
+	};
+}
+
+function nonNegative(flag) {
+	return value => {
+		if (value < 0) {
+			throw cliError('usage', `--${flag} must be a non-negative number.`);
+		}
+		return value;
 	};
-	return map[status] || status;
 }
 
+/**
+ * Resolve a task ID argument, or let the user pick a task when it was
+ * omitted and the terminal is interactive.
+ * @param {string | null} ref - Positional taskId
+ * @param {string} command - For the prompt and the usage error
+ * @returns {Promise<string>}
+ */
+async function taskRefOrPick(ref, command) {
+	if (ref) return resolveTaskRef(ref);
+	if (!isInteractive()) {
+		throw cliError('usage', `Missing required argument <taskId>.\nRun 'lightsprint ${command} --help' for usage.`);
+	}
+
+	const statusMap = loadStatusMap();
+	const { tasks } = await listTasks({ all: true, statusMap });
+	if (tasks.length === 0) {
+		throw cliError('not_found', 'No tasks on the board.');
+	}
+	let me = null;
+	try {
+		me = (await resolveAssignee('me')).toLowerCase();
+	} catch {
+		// Unknown user: no "mine first"
+	}
+
+	// Todo first, then other open work, done last; yours first within each
+	const rank = task => {
+		const status = taskStatusKey(task, statusMap);
+		const group = status === 'todo' ? 0 : status === 'done' ? 2 : 1;
+		return group * 2 + (me && String(task.assignee || '').toLowerCase() === me ? 0 : 1);
+	};
+	const ordered = tasks
+		.map((task, index) => ({ task, index }))
+		.sort((a, b) => rank(a.task) - rank(b.task) || a.index - b.index)
+		.map(({ task }) => task);
+
+	const task = await pick(ordered, {
+		prompt: `Select a task to ${command} (type to filter, ↑/↓ to move, Enter to select, Esc to cancel)`,
+		searchText: task => `${task.title} ${task.id} ${task.assignee || ''} ${taskStatusKey(task, statusMap) || ''}`,
+		label: (task, width) => {
+			const status = (taskStatusKey(task, statusMap) || '').padEnd(12);
+			const assignee = (task.assignee || '').slice(0, 14).padEnd(14);
+			const titleWidth = Math.max(width - status.length - assignee.length - 4, 10);
+			const title = task.title.length > titleWidth ? task.title.slice(0, titleWidth - 1) + '…' : task.title.padEnd(titleWidth);
+			return `${title}  ${status}${assignee}`;
+		},
+		preview: task => {
+			const todos = task.todoList || [];
+			const lines = [
+				`${task.title}`,
+				`ID: ${task.id}   Status: ${taskStatusKey(task, statusMap) || 'unknown'}${task.assignee ? `   Assignee: ${task.assignee}` : ''}${task.complexity && task.complexity !== 'unknown' ? `   Complexity: ${task.complexity}` : ''}`
+			];
+			if (todos.length > 0) lines.push(`Todos: ${todos.filter(item => item.completed).length}/${todos.length} done`);
+			if (task.description) lines.push('', ...task.description.trim().split('\n'));
+			return lines;
+		}
+	});
+	if (!task) {
+		throw cliError('usage', 'No task selected.');
+	}
+	return task.id;
+}
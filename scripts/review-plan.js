@@ -24,32 +24,22 @@
 import { createServer } from 'http';
 import { createServer as createNetServer } from 'net';
 import { spawn } from 'child_process';
-import { appendFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
 import { getConfig, getDefaultBaseUrl } from './lib/config.js';
 import { apiRequest, getProjectId, setConfig } from './lib/client.js';
-import { getActivePlan, setActivePlan, clearActivePlan } from './lib/plan-tracker.js';
+import { getActivePlan, setActivePlan, clearActivePlan, recordApprovedPlan } from './lib/plan-tracker.js';
+import { resolveSessionTask } from './lib/active-task.js';
+import { getWorktreeRoot } from './lib/git.js';
+import { createLogger } from './lib/hook-input.js';
 
-const LOG_DIR = join(homedir(), '.lightsprint');
-const LOG_FILE = join(LOG_DIR, 'sync.log');
+const log = createLogger('review-plan');
 
 // Injected at build time via --define (enables version verification in logs)
 const BUILD_HASH = typeof __BUILD_HASH__ !== 'undefined' ? __BUILD_HASH__ : 'dev';
 const BUILD_VERSION = typeof __BUILD_VERSION__ !== 'undefined' ? __BUILD_VERSION__ : 'dev';
 const BUILD_TIME = typeof __BUILD_TIME__ !== 'undefined' ? __BUILD_TIME__ : 'unknown';
 
-function log(level, message, data) {
-	try {
-		if (!existsSync(LOG_DIR)) mkdirSync(LOG_DIR, { recursive: true });
-		const ts = new Date().toISOString();
-		const line = `${ts} [${level}] review-plan: ${message}${data ? ' ' + JSON.stringify(data) : ''}\n`;
-		appendFileSync(LOG_FILE, line);
-	} catch {
-		// Never crash on logging
-	}
-}
-
 function outputAllow() {
 	const result = {
 		hookSpecificOutput: {
@@ -448,7 +438,9 @@ export async function reviewPlanMain(args) {
 			// POST new plan
 			const createResult = await apiRequest(`/api/projects/${projectId}/plans`, {
 				method: 'POST',
-				body: JSON.stringify({ content: plan, allowedPrompts })
+				body: JSON.stringify({ content: plan, allowedPrompts }),
+				// The review needs a plan ID now; a replayed upload would be useless
+				queue: false
 			});
 			planId = createResult?.planId || createResult?.id;
 
@@ -486,6 +478,14 @@ export async function reviewPlanMain(args) {
 		} else {
 			// Plan approved — clear active plan for next cycle
 			clearActivePlan();
+			try {
+				// Kept for `lightsprint pr-body`
+				const task = resolveSessionTask({ projectId, cwd: hookCwd, sessionId });
+				recordApprovedPlan({ planId, projectId, taskId: task?.taskId, folder: getWorktreeRoot(hookCwd) || hookCwd, content: plan });
+				log('info', 'Recorded approved plan', { planId, taskId: task?.taskId });
+			} catch (err) {
+				log('warn', 'Could not record approved plan', { error: err.message });
+			}
 			outputAllow();
 		}
 	} catch (err) {
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * session-start.js — SessionStart hook handler.
+ *
+ * Called by Claude Code hooks with JSON on stdin containing:
+ *   { session_id, cwd, source: startup|resume|clear|compact, ... }
+ *
+ * When the folder has an active (claimed) task, fetch it and print it as
+ * additional context so Claude picks up where the last session left off.
+ *
+ * Flow:
+ * 1. Config guard — if no config for the hook cwd, exit silently
+ * 2. Look up the active task for the folder/session, exit silently if none
+ * 3. Fetch the task and its latest comments
+ * 4. Output { hookSpecificOutput: { hookEventName, additionalContext } } JSON
+ *
+ * Error handling: ANY failure is logged and the hook exits 0 with no output.
+ */
+
+import { getConfig } from './lib/config.js';
+import { apiRequest, setConfig } from './lib/client.js';
+import { getActiveTask } from './lib/active-task.js';
+import { taskStatusKey, loadStatusMap } from './lib/status-mapper.js';
+import { createLogger, readHookInput } from './lib/hook-input.js';
+
+const log = createLogger('session-start');
+
+// Keep the injected context small — it is prepended to every resumed session
+const MAX_CONTEXT_CHARS = 8000;
+const MAX_DESCRIPTION_CHARS = 3000;
+const MAX_COMMENTS = 5;
+const MAX_COMMENT_CHARS = 500;
+
+function truncate(text, max) {
+	return text.length > max ? text.slice(0, max - 3) + '...' : text;
+}
+
+/**
+ * Render the active task as markdown context for Claude.
+ * @param {object} task
+ * @param {Array<object>} comments - Newest last
+ * @param {string} cwd
+ * @param {string} [branch] - Set when the task was inferred from the branch
+ * @returns {string}
+ */
+function formatTaskContext(task, comments, cwd, branch) {
+	const origin = branch ? `checked out on branch ${branch}` : 'claimed in this folder';
+	const lines = [
+		`## Active Lightsprint task`,
+		``,
+		`You are working on Lightsprint task "${task.title}" (ID: ${task.id}), ${origin}.`,
+		`Status: ${taskStatusKey(task, loadStatusMap(cwd)) || 'unknown'}`
+	];
+	if (task.assignee) lines.push(`Assignee: ${task.assignee}`);
+	if (task.complexity && task.complexity !== 'unknown') lines.push(`Complexity: ${task.complexity}`);
+
+	if (task.description) {
+		lines.push(``, `### Description`, truncate(task.description, MAX_DESCRIPTION_CHARS));
+	}
+	if (task.todoList && task.todoList.length > 0) {
+		lines.push(``, `### Todo list`);
+		for (const item of task.todoList) {
+			lines.push(`- ${item.completed ? '[x]' : '[ ]'} ${item.text}`);
+		}
+	}
+	if (task.relatedFiles && task.relatedFiles.length > 0) {
+		lines.push(``, `### Related files`);
+		for (const f of task.relatedFiles) {
+			lines.push(`- ${typeof f === 'string' ? f : f.path}`);
+		}
+	}
+	if (comments.length > 0) {
+		lines.push(``, `### Latest comments`);
+		for (const comment of comments.slice(-MAX_COMMENTS)) {
+			const author = comment.author?.name || comment.authorName || 'unknown';
+			const when = comment.createdAt ? ` (${comment.createdAt})` : '';
+			lines.push(`- **${author}**${when}: ${truncate(String(comment.body || '').replace(/\s+/g, ' '), MAX_COMMENT_CHARS)}`);
+		}
+	}
+
+	lines.push(``, `Use \`lightsprint get @current\` for full details and \`lightsprint comment @current <text>\` to post updates.`);
+	return truncate(lines.join('\n'), MAX_CONTEXT_CHARS);
+}
+
+export async function sessionStartMain(args) {
+	let input;
+	try {
+		input = await readHookInput(args[0]);
+	} catch (err) {
+		log('error', 'Failed to parse input', { error: err.message });
+		process.exit(0);
+	}
+
+	// Config guard (use cwd from stdin, not process.cwd()) — hooks never prompt
+	const hookCwd = input?.cwd || process.cwd();
+	const cfg = getConfig(hookCwd);
+	if (!cfg) {
+		log('debug', 'No project configured, skipping', { cwd: hookCwd });
+		process.exit(0);
+	}
+	setConfig(cfg);
+
+	try {
+		const active = getActiveTask({ cwd: hookCwd, sessionId: input?.session_id });
+		if (!active || (active.projectId && active.projectId !== cfg.projectId)) {
+			log('debug', 'No active task', { cwd: hookCwd });
+			process.exit(0);
+		}
+
+		const data = await apiRequest(`/api/tasks/${active.taskId}`);
+		const task = data?.task;
+		if (!task) {
+			log('warn', 'Active task not found', { taskId: active.taskId });
+			process.exit(0);
+		}
+
+		let comments = [];
+		try {
+			const commentData = await apiRequest(`/api/tasks/${active.taskId}/comments`);
+			comments = commentData?.comments || [];
+		} catch (err) {
+			log('warn', 'Failed to fetch comments', { taskId: active.taskId, error: err.message });
+		}
+
+		const additionalContext = formatTaskContext(task, comments, hookCwd, active.branch);
+		process.stdout.write(JSON.stringify({
+			hookSpecificOutput: {
+				hookEventName: 'SessionStart',
+				additionalContext
+			}
+		}));
+		log('info', 'Injected active task context', { taskId: active.taskId, source: input?.source, length: additionalContext.length });
+	} catch (err) {
+		log('error', 'session-start failed', { error: err.message });
+	}
+
+	process.exit(0);
+}
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * session-summary.js — SessionEnd (or Stop) hook handler.
+ *
+ * Called by Claude Code hooks with JSON on stdin containing:
+ *   { session_id, transcript_path, cwd, hook_event_name, reason, ... }
+ *
+ * Reads the session transcript and posts a short markdown summary — files
+ * edited, commands run and Claude's final message — as a comment on the
+ * task the session worked on (its claimed or linked task).
+ *
+ * Flow:
+ * 1. Config guard — if no config for the hook cwd, exit silently
+ * 2. Opt-out guard — `"sessionSummary": false` in settings skips the hook
+ * 3. Dedupe guard — each session is summarized at most once
+ * 4. Resolve the session's task, extract activity from the transcript
+ * 5. POST /api/tasks/:id/comments
+ *
+ * Error handling: ANY failure is logged and the hook exits 0.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname, relative, isAbsolute } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+import { getConfig, getSettings } from './lib/config.js';
+import { apiRequest, setConfig } from './lib/client.js';
+import { resolveSessionTask } from './lib/active-task.js';
+import { getWorktreeRoot } from './lib/git.js';
+import { createLogger, readHookInput } from './lib/hook-input.js';
+
+const log = createLogger('session-summary');
+
+const SUMMARIES_FILE = join(homedir(), '.lightsprint', 'session-summaries.json');
+const SUMMARY_RETENTION_DAYS = 30;
+
+const EDIT_TOOLS = new Set(['Edit', 'Write', 'MultiEdit', 'NotebookEdit']);
+const MAX_FILES = 30;
+const MAX_COMMANDS = 15;
+const MAX_COMMAND_CHARS = 120;
+const MAX_FINAL_MESSAGE_CHARS = 1500;
+
+// ─── dedupe guard ────────────────────────────────────────────────────────
+
+function readSummaries() {
+	try {
+		if (existsSync(SUMMARIES_FILE)) {
+			return JSON.parse(readFileSync(SUMMARIES_FILE, 'utf-8'));
+		}
+	} catch {
+		// Corrupted file, start fresh
+	}
+	return {};
+}
+
+function recordSummary(sessionId, taskId) {
+	const summaries = readSummaries();
+	const cutoff = new Date(Date.now() - SUMMARY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+	for (const [id, entry] of Object.entries(summaries)) {
+		if ((entry.postedAt || '') < cutoff) delete summaries[id];
+	}
+	summaries[sessionId] = { taskId, postedAt: new Date().toISOString() };
+
+	const dir = dirname(SUMMARIES_FILE);
+	if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	const tmp = SUMMARIES_FILE + '.' + randomBytes(4).toString('hex');
+	writeFileSync(tmp, JSON.stringify(summaries, null, 2));
+	renameSync(tmp, SUMMARIES_FILE);
+}
+
+// ─── transcript ──────────────────────────────────────────────────────────
+
+/**
+ * Collect session activity from the transcript JSONL.
+ * @param {string} transcriptPath
+ * @param {string} cwd - Used to make file paths repo-relative
+ * @returns {{ files: string[], commands: string[], finalMessage: string | null }}
+ */
+function extractActivityFromTranscript(transcriptPath, cwd) {
+	const files = new Set();
+	const commands = [];
+	let finalMessage = null;
+
+	if (!transcriptPath || !existsSync(transcriptPath)) {
+		log('debug', 'No transcript path or file not found', { transcriptPath });
+		return { files: [], commands, finalMessage };
+	}
+
+	const root = getWorktreeRoot(cwd) || cwd;
+	const lines = readFileSync(transcriptPath, 'utf-8').split('\n').filter(Boolean);
+
+	for (const line of lines) {
+		try {
+			const msg = JSON.parse(line)?.message;
+			if (!msg || msg.role !== 'assistant' || !Array.isArray(msg.content)) continue;
+
+			for (const block of msg.content) {
+				if (block?.type === 'text' && block.text?.trim()) {
+					finalMessage = block.text.trim();
+				} else if (block?.type === 'tool_use' && EDIT_TOOLS.has(block.name)) {
+					const filePath = block.input?.file_path || block.input?.notebook_path;
+					if (filePath) {
+						const rel = isAbsolute(filePath) ? relative(root, filePath) : filePath;
+						files.add(rel.startsWith('..') ? filePath : rel);
+					}
+				} else if (block?.type === 'tool_use' && block.name === 'Bash' && block.input?.command) {
+					const command = block.input.command.split('\n')[0].trim();
+					if (command && !commands.includes(command)) commands.push(command);
+				}
+			}
+		} catch {
+			// Skip unparseable lines
+		}
+	}
+
+	return { files: [...files], commands, finalMessage };
+}
+
+function truncate(text, max) {
+	return text.length > max ? text.slice(0, max - 3) + '...' : text;
+}
+
+/**
+ * Render the session summary comment.
+ * @param {{ files: string[], commands: string[], finalMessage: string | null }} activity
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function formatSummary({ files, commands, finalMessage }, sessionId) {
+	const lines = ['**Claude Code session summary**'];
+
+	if (files.length > 0) {
+		lines.push('', `**Files edited (${files.length})**`);
+		for (const f of files.slice(0, MAX_FILES)) lines.push(`- \`${f}\``);
+		if (files.length > MAX_FILES) lines.push(`- …and ${files.length - MAX_FILES} more`);
+	}
+
+	if (commands.length > 0) {
+		lines.push('', `**Commands run (${commands.length})**`);
+		for (const c of commands.slice(-MAX_COMMANDS)) lines.push(`- \`${truncate(c, MAX_COMMAND_CHARS).replace(/`/g, "'")}\``);
+		if (commands.length > MAX_COMMANDS) lines.push(`- …${commands.length - MAX_COMMANDS} earlier command(s) omitted`);
+	}
+
+	if (finalMessage) {
+		lines.push('', '**Final message**');
+		for (const l of truncate(finalMessage, MAX_FINAL_MESSAGE_CHARS).split('\n')) lines.push(`> ${l}`);
+	}
+
+	lines.push('', `<sub>Session ${String(sessionId).slice(0, 8)}</sub>`);
+	return lines.join('\n');
+}
+
+export async function sessionSummaryMain(args) {
+	let input;
+	try {
+		input = await readHookInput(args[0]);
+	} catch (err) {
+		log('error', 'Failed to parse input', { error: err.message });
+		process.exit(0);
+	}
+
+	// Config guard (use cwd from stdin, not process.cwd()) — hooks never prompt
+	const hookCwd = input?.cwd || process.cwd();
+	const cfg = getConfig(hookCwd);
+	if (!cfg) {
+		log('debug', 'No project configured, skipping', { cwd: hookCwd });
+		process.exit(0);
+	}
+	setConfig(cfg);
+
+	try {
+		if (getSettings(hookCwd).sessionSummary === false) {
+			log('debug', 'Session summaries disabled for this project', { cwd: hookCwd });
+			process.exit(0);
+		}
+
+		const sessionId = input?.session_id;
+		if (!sessionId) {
+			log('debug', 'No session ID, skipping');
+			process.exit(0);
+		}
+		if (readSummaries()[sessionId]) {
+			log('debug', 'Session already summarized', { sessionId });
+			process.exit(0);
+		}
+
+		const target = resolveSessionTask({ cwd: hookCwd, sessionId, projectId: cfg.projectId });
+		if (!target) {
+			log('debug', 'No active or linked task for session', { sessionId });
+			process.exit(0);
+		}
+
+		const activity = extractActivityFromTranscript(input?.transcript_path, hookCwd);
+		if (activity.files.length === 0 && activity.commands.length === 0) {
+			log('debug', 'Nothing to summarize', { sessionId });
+			process.exit(0);
+		}
+
+		try {
+			await apiRequest(`/api/tasks/${target.taskId}/comments`, {
+				method: 'POST',
+				body: JSON.stringify({ body: formatSummary(activity, sessionId) })
+			});
+		} catch (err) {
+			// A comment queued in the outbox will still be posted — don't summarize again
+			if (!err.queued) throw err;
+			log('warn', 'Summary queued in outbox', { sessionId, taskId: target.taskId, error: err.message });
+		}
+		recordSummary(sessionId, target.taskId);
+		log('info', 'Posted session summary', { sessionId, taskId: target.taskId, source: target.source, files: activity.files.length, commands: activity.commands.length });
+	} catch (err) {
+		log('error', 'session-summary failed', { error: err.message });
+	}
+
+	process.exit(0);
+}
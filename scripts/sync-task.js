@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * sync-task.js — PostToolUse hook handler for TaskCreate / TaskUpdate.
+ *
+ * Called by Claude Code hooks with JSON on stdin containing:
+ *   { tool_name, tool_input, tool_response, cwd, session_id, ... }
+ *
+ * A Claude Code task is linked to a Lightsprint task through
+ * `metadata.lightsprint_task_id`. The link is recorded in the task map on
+ * first sight, scoped to the project and session (CC task IDs restart per
+ * session), so later TaskUpdate calls (which usually omit metadata) still
+ * resolve to the right Lightsprint task.
+ *
+ * Flow:
+ * 1. Config guard — if no config for the hook cwd, exit silently
+ * 2. Resolve CC task ID and linked LS task ID (metadata, then task map)
+ * 3. Record the CC↔LS link
+ * 4. PATCH /api/tasks/:id with the mapped status, title and description
+ *
+ * Error handling: ANY failure is logged and the hook exits 0.
+ */
+
+import { getConfig } from './lib/config.js';
+import { apiRequest, setConfig } from './lib/client.js';
+import { setMapping, getByCcId } from './lib/task-map.js';
+import { ccToLsStatus, loadStatusMap, statusPatch } from './lib/status-mapper.js';
+import { createLogger, readHookInput } from './lib/hook-input.js';
+
+const log = createLogger('sync-task');
+
+/**
+ * Extract the Claude Code task ID from the hook payload.
+ * TaskUpdate carries it in tool_input; TaskCreate only reports it in tool_response.
+ * @param {object} input - Hook payload
+ * @returns {string | null}
+ */
+function getCcTaskId(input) {
+	if (input?.tool_input?.taskId) return String(input.tool_input.taskId);
+
+	const response = input?.tool_response;
+	if (!response) return null;
+	if (typeof response === 'string') {
+		// e.g. "Task #3 created successfully: Fix login bug"
+		const match = response.match(/#(\w+)/);
+		return match ? match[1] : null;
+	}
+	const id = response.task?.id ?? response.taskId ?? response.id;
+	return id != null ? String(id) : null;
+}
+
+/**
+ * Build the Lightsprint PATCH body from the fields present in tool_input.
+ * @param {object} toolInput
+ * @param {string} cwd - Folder whose status mapping applies
+ * @returns {object}
+ */
+function buildPatch(toolInput = {}, cwd) {
+	const patch = {};
+	if (toolInput.subject) patch.title = toolInput.subject;
+	if (toolInput.description) patch.description = toolInput.description;
+	if (toolInput.status) {
+		const column = ccToLsStatus(toolInput.status, loadStatusMap(cwd));
+		if (column) Object.assign(patch, statusPatch(column));
+	}
+	return patch;
+}
+
+export async function syncTaskMain(args) {
+	let input;
+	try {
+		input = await readHookInput(args[0]);
+	} catch (err) {
+		log('error', 'Failed to parse input', { error: err.message });
+		process.exit(0);
+	}
+
+	const toolName = input?.tool_name;
+	if (toolName !== 'TaskCreate' && toolName !== 'TaskUpdate') {
+		log('debug', 'Ignoring tool', { tool_name: toolName });
+		process.exit(0);
+	}
+
+	// Config guard (use cwd from stdin, not process.cwd()) — hooks never prompt
+	const hookCwd = input?.cwd || process.cwd();
+	const cfg = getConfig(hookCwd);
+	if (!cfg) {
+		log('debug', 'No project configured, skipping', { cwd: hookCwd });
+		process.exit(0);
+	}
+	setConfig(cfg);
+
+	try {
+		const ccTaskId = getCcTaskId(input);
+		const scope = { projectId: cfg.projectId, sessionId: input?.session_id };
+		const lsTaskId = input?.tool_input?.metadata?.lightsprint_task_id
+			|| (ccTaskId ? getByCcId(ccTaskId, scope)?.lsTaskId : undefined);
+
+		if (!lsTaskId) {
+			log('debug', 'Task is not linked to Lightsprint', { tool_name: toolName, ccTaskId });
+			process.exit(0);
+		}
+
+		if (ccTaskId) {
+			setMapping(ccTaskId, lsTaskId, { ...scope, folder: hookCwd });
+		}
+
+		const patch = buildPatch(input.tool_input, hookCwd);
+		if (Object.keys(patch).length === 0) {
+			log('debug', 'Nothing to sync', { ccTaskId, lsTaskId });
+			process.exit(0);
+		}
+
+		await apiRequest(`/api/tasks/${lsTaskId}`, {
+			method: 'PATCH',
+			body: JSON.stringify(patch)
+		});
+		log('info', 'Synced task', { tool_name: toolName, ccTaskId, lsTaskId, fields: Object.keys(patch) });
+	} catch (err) {
+		log('error', 'sync-task failed', { error: err.message });
+	}
+
+	process.exit(0);
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * sync-todos.js — PostToolUse hook handler for TodoWrite.
+ *
+ * Called by Claude Code hooks with JSON on stdin containing:
+ *   { tool_name, tool_input: { todos: [{ content, status, activeForm }] }, cwd, session_id, ... }
+ *
+ * Mirrors Claude's checklist into the todo list of the session's task (its
+ * claimed or linked task), so progress shows up on the board as it happens.
+ *
+ * Flow:
+ * 1. Config guard — if no config for the hook cwd, exit silently
+ * 2. Resolve the session's task, exit silently if none
+ * 3. GET the task, merge the todos by text (see lib/todos.js)
+ * 4. PATCH /api/tasks/:id with the merged todoList, if anything changed
+ *
+ * Error handling: ANY failure is logged and the hook exits 0.
+ */
+
+import { getConfig } from './lib/config.js';
+import { apiRequest, setConfig } from './lib/client.js';
+import { resolveSessionTask } from './lib/active-task.js';
+import { mergeTodos } from './lib/todos.js';
+import { createLogger, readHookInput } from './lib/hook-input.js';
+
+const log = createLogger('sync-todos');
+
+export async function syncTodosMain(args) {
+	let input;
+	try {
+		input = await readHookInput(args[0]);
+	} catch (err) {
+		log('error', 'Failed to parse input', { error: err.message });
+		process.exit(0);
+	}
+
+	if (input?.tool_name !== 'TodoWrite') {
+		log('debug', 'Ignoring tool', { tool_name: input?.tool_name });
+		process.exit(0);
+	}
+
+	// Config guard (use cwd from stdin, not process.cwd()) — hooks never prompt
+	const hookCwd = input?.cwd || process.cwd();
+	const cfg = getConfig(hookCwd);
+	if (!cfg) {
+		log('debug', 'No project configured, skipping', { cwd: hookCwd });
+		process.exit(0);
+	}
+	setConfig(cfg);
+
+	try {
+		const todos = input.tool_input?.todos;
+		if (!Array.isArray(todos) || todos.length === 0) {
+			log('debug', 'No todos in payload');
+			process.exit(0);
+		}
+
+		const target = resolveSessionTask({ cwd: hookCwd, sessionId: input?.session_id, projectId: cfg.projectId });
+		if (!target) {
+			log('debug', 'No active or linked task for session', { sessionId: input?.session_id });
+			process.exit(0);
+		}
+
+		const data = await apiRequest(`/api/tasks/${target.taskId}`);
+		if (!data?.task) {
+			log('warn', 'Task not found', { taskId: target.taskId });
+			process.exit(0);
+		}
+
+		const { todoList, added, updated } = mergeTodos(data.task.todoList, todos);
+		if (added === 0 && updated === 0) {
+			log('debug', 'Todo list already in sync', { taskId: target.taskId });
+			process.exit(0);
+		}
+
+		await apiRequest(`/api/tasks/${target.taskId}`, {
+			method: 'PATCH',
+			body: JSON.stringify({ todoList })
+		});
+		log('info', 'Synced todos', { taskId: target.taskId, source: target.source, added, updated });
+	} catch (err) {
+		log('error', 'sync-todos failed', { error: err.message });
+	}
+
+	process.exit(0);
+}
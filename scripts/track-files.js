@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * track-files.js — PostToolUse hook handler for Edit / Write / MultiEdit,
+ * and Stop hook handler (with --flush).
+ *
+ * Called by Claude Code hooks with JSON on stdin containing:
+ *   { tool_name, tool_input: { file_path, ... }, cwd, session_id, ... }
+ *
+ * Records the repo-relative paths Claude edits as relatedFiles of the
+ * session's task (its claimed or linked task). Paths are queued and sent in
+ * batches (see lib/related-files.js) rather than one PATCH per edit.
+ *
+ * Flow (PostToolUse):
+ * 1. Config guard — if no config for the hook cwd, exit silently
+ * 2. Resolve the session's task, exit silently if none
+ * 3. Queue the edited path; flush the task's queue once it is due
+ *
+ * Flow (Stop, --flush): flush every queue recorded from this folder.
+ *
+ * Error handling: ANY failure is logged and the hook exits 0.
+ */
+
+import { isAbsolute, relative, resolve } from 'path';
+import { getConfig } from './lib/config.js';
+import { setConfig } from './lib/client.js';
+import { resolveSessionTask } from './lib/active-task.js';
+import { queueFiles, isFlushDue, pendingTaskIds, flushFiles } from './lib/related-files.js';
+import { getWorktreeRoot } from './lib/git.js';
+import { createLogger, readHookInput } from './lib/hook-input.js';
+
+const log = createLogger('track-files');
+
+const EDIT_TOOLS = new Set(['Edit', 'Write', 'MultiEdit']);
+
+/**
+ * Make an edited path repo-relative. Paths outside the repo are not tracked.
+ * @param {string} filePath
+ * @param {string} root - Worktree root
+ * @returns {string | null}
+ */
+function repoRelativePath(filePath, root) {
+	const rel = relative(root, isAbsolute(filePath) ? filePath : resolve(root, filePath));
+	if (!rel || rel.startsWith('..') || isAbsolute(rel)) return null;
+	return rel.split('\\').join('/');
+}
+
+async function flush(taskId) {
+	try {
+		const added = await flushFiles(taskId);
+		log('info', 'Flushed related files', { taskId, added: added.length });
+	} catch (err) {
+		// Queued writes are replayed by `lightsprint sync`
+		log(err.queued ? 'warn' : 'error', 'Failed to update related files', { taskId, error: err.message });
+	}
+}
+
+export async function trackFilesMain(args) {
+	const flushOnly = args.includes('--flush');
+	let input;
+	try {
+		input = await readHookInput(args.find(arg => !arg.startsWith('--')));
+	} catch (err) {
+		log('error', 'Failed to parse input', { error: err.message });
+		process.exit(0);
+	}
+
+	// Config guard (use cwd from stdin, not process.cwd()) — hooks never prompt
+	const hookCwd = input?.cwd || process.cwd();
+	const cfg = getConfig(hookCwd);
+	if (!cfg) {
+		log('debug', 'No project configured, skipping', { cwd: hookCwd });
+		process.exit(0);
+	}
+	setConfig(cfg);
+
+	try {
+		const root = getWorktreeRoot(hookCwd) || hookCwd;
+
+		if (flushOnly) {
+			for (const taskId of pendingTaskIds({ folder: root })) {
+				await flush(taskId);
+			}
+			process.exit(0);
+		}
+
+		if (!EDIT_TOOLS.has(input?.tool_name)) {
+			log('debug', 'Ignoring tool', { tool_name: input?.tool_name });
+			process.exit(0);
+		}
+
+		const filePath = input.tool_input?.file_path;
+		const path = filePath ? repoRelativePath(filePath, root) : null;
+		if (!path) {
+			log('debug', 'Edited file is outside the repo', { filePath });
+			process.exit(0);
+		}
+
+		const target = resolveSessionTask({ cwd: hookCwd, sessionId: input?.session_id, projectId: cfg.projectId });
+		if (!target) {
+			log('debug', 'No active or linked task for session', { sessionId: input?.session_id });
+			process.exit(0);
+		}
+
+		const entry = queueFiles(target.taskId, [path], { folder: root });
+		if (isFlushDue(entry)) {
+			await flush(target.taskId);
+		}
+	} catch (err) {
+		log('error', 'track-files failed', { error: err.message });
+	}
+
+	process.exit(0);
+}